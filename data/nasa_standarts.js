@@ -29,6 +29,15 @@ const NASA_STANDARDS = {
             optimal: 50             // m³ - Optimal for psychological wellbeing
         },
         
+        // Mission duration tiers selecting the perPerson requirement
+        durationTiers: [
+            { tier: 'emergency', maxDays: 7 },      // days - Shorter than 7 days
+            { tier: 'shortStay', maxDays: 30 },     // days - 7 to 29 days
+            { tier: 'mediumStay', maxDays: 90 },    // days - 30 to 89 days
+            { tier: 'longStay', maxDays: 180 },     // days - 90 to 179 days
+            { tier: 'permanent', maxDays: Infinity } // days - 180 days and more
+        ],
+        
         // Crew quarters (private space) requirements
         crewQuarters: {
             minimum: 2.8,           // m³ - Absolute minimum (emergency)
@@ -131,7 +140,10 @@ const NASA_STANDARDS = {
             meteoriteShielding: true, // boolean - Micrometeorite protection
             radiationShielding: {
                 solarFlare: true,    // boolean - Solar particle event protection
-                galacticRay: false   // boolean - GCR protection (mass-dependent)
+                galacticRay: false,  // boolean - GCR protection (mass-dependent)
+                annualDoseLimit: 500, // mSv - Annual effective dose limit, pro rata per mission
+                shelterArealDensity: 20, // g/cm² - Minimum storm shelter shielding
+                shelterReachTime: 60 // seconds - Time for the whole crew to reach the shelter
             }
         }
     },
@@ -172,8 +184,18 @@ const NASA_STANDARDS = {
             personalPerPerson: 0.5, // m³ - Personal items per person
             foodPerPersonDay: 1.8,  // kg - Food storage per person per day
             waterPerPersonDay: 3.0, // kg - Water storage per person per day
+            oxygenPerPersonDay: 0.84, // kg - Metabolic oxygen per person per day
+            sparesPerPersonDay: 0.4, // kg - ECLSS and maintenance spares per person per day
             equipmentBuffer: 1.3,   // factor - Equipment storage buffer
-            emergencyDays: 30       // days - Emergency supply duration
+            emergencyDays: 30,      // days - Emergency supply duration
+            
+            // Packed storage densities, including packaging and tanks
+            packingDensity: {
+                food: 300,          // kg/m³ - Packaged food
+                water: 1000,        // kg/m³ - Water bladders
+                oxygen: 400,        // kg/m³ - High-pressure oxygen tanks
+                spares: 400         // kg/m³ - Spare parts in cargo bags
+            }
         }
     },
     
@@ -216,10 +238,14 @@ const NASA_STANDARDS = {
             gravity: 0.1654,        // factor - Lunar gravity (1/6 Earth)
             radiationExposure: 2.6, // mSv/day - Surface radiation exposure
             thermalSwing: 300,      // K - Day/night temperature difference
+            meanSurfaceTemperature: 250, // K - Average of day and night surface temperature
             dustMitigation: true,   // boolean - Lunar dust protection needed
             seismicActivity: false, // boolean - No significant moonquakes
             evacuationTime: 72,     // hours - Maximum time to reach safety
-            resupplyInterval: 90    // days - Supply mission frequency
+            resupplyInterval: 90,   // days - Supply mission frequency
+            solarIrradiance: 1.361, // kW/m² - Sunlight at the surface
+            nightLength: 354,       // hours - Lunar night (about 14.75 days)
+            dustStormDerating: 1.0  // factor - No dust storms
         },
         
         // Mars mission requirements
@@ -227,10 +253,14 @@ const NASA_STANDARDS = {
             gravity: 0.3794,        // factor - Mars gravity (3/8 Earth)
             radiationExposure: 0.7, // mSv/day - Surface radiation (lower than lunar)
             thermalSwing: 170,      // K - Day/night temperature difference
+            meanSurfaceTemperature: 210, // K - Average of day and night surface temperature
             dustMitigation: true,   // boolean - Mars dust storm protection
             seismicActivity: true,  // boolean - Marsquakes possible
             evacuationTime: 168,    // hours - Time to reach orbit (7 days)
-            resupplyInterval: 780   // days - Supply mission frequency (synodic period)
+            resupplyInterval: 780,  // days - Supply mission frequency (synodic period)
+            solarIrradiance: 0.59,  // kW/m² - Sunlight at the surface
+            nightLength: 12.3,      // hours - Half a sol
+            dustStormDerating: 0.3  // factor - Solar output left in a global dust storm
         }
     },
     
@@ -301,6 +331,23 @@ const NASA_STANDARDS = {
 
 // ===== CALCULATION HELPER FUNCTIONS =====
 
+/**
+ * Get the duration tier and volume per person for a mission
+ * 
+ * @param {number} missionDuration - Mission duration in days
+ * @returns {Object} { tier, volumePerPerson } with volume in m³
+ */
+function getVolumeRequirement(missionDuration) {
+    const requirements = NASA_STANDARDS.VOLUME_REQUIREMENTS;
+    const tier = requirements.durationTiers.find(item => missionDuration < item.maxDays) ||
+        requirements.durationTiers[requirements.durationTiers.length - 1];
+    
+    return {
+        tier: tier.tier,
+        volumePerPerson: requirements.perPerson[tier.tier]
+    };
+}
+
 /**
  * Calculate minimum habitable volume for a crew
  * 
@@ -309,21 +356,7 @@ const NASA_STANDARDS = {
  * @returns {number} Required volume in m³
  */
 function calculateMinimumVolume(crewSize, missionDuration) {
-    let volumePerPerson;
-    
-    if (missionDuration < 7) {
-        volumePerPerson = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.emergency;
-    } else if (missionDuration < 30) {
-        volumePerPerson = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.shortStay;
-    } else if (missionDuration < 90) {
-        volumePerPerson = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.mediumStay;
-    } else if (missionDuration < 180) {
-        volumePerPerson = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.longStay;
-    } else {
-        volumePerPerson = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.permanent;
-    }
-    
-    return crewSize * volumePerPerson;
+    return crewSize * getVolumeRequirement(missionDuration).volumePerPerson;
 }
 
 /**
@@ -337,25 +370,43 @@ function calculateHygieneStations(crewSize) {
 }
 
 /**
- * Calculate total storage requirements
+ * Calculate total storage requirements until the next resupply
+ * Water and oxygen are recycled, so only the losses are stored, plus an
+ * emergency reserve in case the recyclers fail
  * 
  * @param {number} crewSize - Number of crew members
  * @param {number} missionDuration - Mission duration in days
- * @returns {Object} Storage requirements breakdown
+ * @param {number} resupplyInterval - Days between resupply missions (none by default)
+ * @returns {Object} Storage requirements breakdown, volumes in m³ and masses in kg
  */
-function calculateStorageRequirements(crewSize, missionDuration) {
-    const dailyFood = NASA_STANDARDS.OPERATIONS.storage.foodPerPersonDay;
-    const dailyWater = NASA_STANDARDS.OPERATIONS.storage.waterPerPersonDay;
-    const personalStorage = NASA_STANDARDS.OPERATIONS.storage.personalPerPerson;
-    const emergencyDays = NASA_STANDARDS.OPERATIONS.storage.emergencyDays;
+function calculateStorageRequirements(crewSize, missionDuration, resupplyInterval = missionDuration) {
+    const storage = NASA_STANDARDS.OPERATIONS.storage;
+    const lifeSupport = NASA_STANDARDS.MODULE.lifeSupport;
+    const supplyDays = Math.min(missionDuration, resupplyInterval);
+    const emergencyDays = storage.emergencyDays;
     
-    return {
-        personalItems: crewSize * personalStorage,
-        foodStorage: crewSize * dailyFood * (missionDuration + emergencyDays) / 1000, // Convert kg to m³
-        waterStorage: crewSize * dailyWater * emergencyDays / 1000, // Emergency water only
-        equipmentStorage: crewSize * 0.5, // Estimated equipment per person
-        totalRequired: 0 // Calculated below
+    const mass = {
+        food: crewSize * storage.foodPerPersonDay * (supplyDays + emergencyDays),
+        water: crewSize * storage.waterPerPersonDay * ((1 - lifeSupport.waterRecycling) * supplyDays + emergencyDays),
+        oxygen: crewSize * storage.oxygenPerPersonDay * ((1 - lifeSupport.airRecycling) * supplyDays + emergencyDays),
+        spares: crewSize * storage.sparesPerPersonDay * supplyDays
+    };
+    
+    const requirements = {
+        supplyDays: supplyDays,
+        mass: mass,
+        totalMass: mass.food + mass.water + mass.oxygen + mass.spares,
+        personalItems: crewSize * storage.personalPerPerson,
+        foodStorage: mass.food / storage.packingDensity.food,
+        waterStorage: mass.water / storage.packingDensity.water,
+        oxygenStorage: mass.oxygen / storage.packingDensity.oxygen,
+        equipmentStorage: mass.spares / storage.packingDensity.spares * storage.equipmentBuffer
     };
+    
+    requirements.totalRequired = requirements.personalItems + requirements.foodStorage +
+        requirements.waterStorage + requirements.oxygenStorage + requirements.equipmentStorage;
+    
+    return requirements;
 }
 
 /**
@@ -389,7 +440,7 @@ function validateHabitatDesign(habitatDesign, missionParams) {
     }
     
     // Essential room checks
-    const essentialRooms = ['crew_quarters', 'hygiene', 'galley', 'diningdroom', 'exercise', 'workstation', 'medical'];
+    const essentialRooms = ['crew_quarters', 'hygiene', 'galley', 'diningroom', 'exercise', 'workstation', 'medical'];
     const missingEssential = essentialRooms.filter(roomType => 
         !habitatDesign.rooms || !habitatDesign.rooms.some(room => room.type === roomType)
     );
@@ -415,6 +466,7 @@ function validateHabitatDesign(habitatDesign, missionParams) {
 // Make standards available globally
 if (typeof window !== 'undefined') {
     window.NASA_STANDARDS = NASA_STANDARDS;
+    window.getVolumeRequirement = getVolumeRequirement;
     window.calculateMinimumVolume = calculateMinimumVolume;
     window.calculateHygieneStations = calculateHygieneStations;
     window.calculateStorageRequirements = calculateStorageRequirements;
@@ -425,6 +477,7 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         NASA_STANDARDS,
+        getVolumeRequirement,
         calculateMinimumVolume,
         calculateHygieneStations,
         calculateStorageRequirements,
@@ -0,0 +1,214 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - ACOUSTIC MODEL
+   NASA Space Apps Challenge Project
+
+   Simple noise propagation model for the habitat layout. Every room
+   radiates a source level set by its noiseLevel; sound loses 6 dB per
+   doubling of distance, a fixed amount per wall it passes through and
+   per floor between levels. Received levels are compared with the
+   limits in NASA_STANDARDS.ENVIRONMENTAL.noise.
+   All coordinates are metres relative to the top-left of the floor plan.
+   ========================================================================== */
+
+const AcousticModel = (function() {
+    'use strict';
+
+    // Sound level 1 m from a room of each noiseLevel (dB)
+    const SOURCE_LEVELS = {
+        quiet: 35,
+        moderate: 55,
+        high: 75
+    };
+
+    // Transmission loss of one room wall (dB)
+    const WALL_LOSS = 10;
+
+    // Transmission loss of one floor between levels (dB)
+    const FLOOR_LOSS = 20;
+
+    // Height between levels when none is given (m)
+    const DEFAULT_LEVEL_HEIGHT = 2.5;
+
+    // Defaults when NASA standards are not loaded
+    const DEFAULT_LIMITS = {
+        sleepingDb: 40,
+        workingDb: 60,
+        exerciseDb: 65
+    };
+
+    /**
+     * Estimate the level each room receives from all other rooms
+     * @param {Object} options - rooms [{id, type, position, dimensions, level}], levelHeight (m)
+     * @returns {Object} { status, message, rooms: [{ id, type, level, receivedDb, limitDb, loudestSource, status }] }
+     */
+    function analyzeNoise(options) {
+        const rooms = options.rooms;
+
+        const results = rooms.map(receiver => {
+            const contributions = rooms
+                .filter(source => source !== receiver)
+                .map(source => ({
+                    source: source,
+                    level: propagate(source, getCentre(receiver), receiver.level || 0, rooms, options)
+                }));
+
+            const loudest = contributions.reduce((best, item) => !best || item.level > best.level ? item : best, null);
+            const receivedDb = Math.max(0, sumLevels(contributions.map(item => item.level)));
+            const limitDb = getNoiseLimit(receiver.type);
+
+            return {
+                id: receiver.id,
+                type: receiver.type,
+                level: receiver.level || 0,
+                receivedDb: receivedDb,
+                limitDb: limitDb,
+                loudestSource: loudest ? loudest.source.type : null,
+                status: receivedDb > limitDb ? 'fail' : 'pass'
+            };
+        });
+
+        const failing = results.filter(room => room.status === 'fail');
+        return {
+            status: failing.length === 0 ? 'pass' : 'fail',
+            message: failing.length === 0
+                ? 'All rooms within NASA noise limits'
+                : `${failing.length} rooms above NASA noise limits`,
+            rooms: results
+        };
+    }
+
+    /**
+     * Received level on a grid of points across one level
+     * @param {Object} options - rooms, level, width, length (m), gridSize (m),
+     *                           levelHeight (m), isFeasible(x, y) for points on the floor
+     * @returns {Object} { gridSize, cells: [{ x, y, db }], minDb, maxDb }
+     */
+    function createNoiseGrid(options) {
+        const gridSize = options.gridSize || 0.5;
+        const level = options.level || 0;
+        const cells = [];
+
+        for (let y = gridSize / 2; y < options.length; y += gridSize) {
+            for (let x = gridSize / 2; x < options.width; x += gridSize) {
+                if (options.isFeasible && !options.isFeasible(x, y)) continue;
+
+                const point = { x: x, y: y };
+                const db = sumLevels(options.rooms.map(source => propagate(source, point, level, options.rooms, options)));
+                cells.push({ x: x, y: y, db: Math.max(0, db) });
+            }
+        }
+
+        return {
+            gridSize: gridSize,
+            cells: cells,
+            minDb: cells.reduce((min, cell) => Math.min(min, cell.db), Infinity),
+            maxDb: cells.reduce((max, cell) => Math.max(max, cell.db), 0)
+        };
+    }
+
+    /**
+     * Level from one source room at a point (dB)
+     */
+    function propagate(source, point, level, rooms, options) {
+        const spec = RoomsManager.getRoomById(source.type);
+        const sourceLevel = SOURCE_LEVELS[spec && spec.noiseLevel] || SOURCE_LEVELS.quiet;
+        const levelHeight = options.levelHeight || DEFAULT_LEVEL_HEIGHT;
+
+        const centre = getCentre(source);
+        const floors = Math.abs((source.level || 0) - level);
+        const distance = Math.hypot(centre.x - point.x, centre.y - point.y, floors * levelHeight);
+
+        // Through another level only the walls around both ends count
+        const walls = floors > 0
+            ? 1 + rooms.filter(room => (room.level || 0) === level && containsPoint(room, point)).length
+            : countWalls(centre, point, rooms.filter(room => (room.level || 0) === level));
+
+        return sourceLevel - 20 * Math.log10(Math.max(1, distance)) - walls * WALL_LOSS - floors * FLOOR_LOSS;
+    }
+
+    /**
+     * Walls crossed on the straight line from a to b
+     * A room around one end adds one wall, a room the line passes through adds two
+     */
+    function countWalls(a, b, rooms) {
+        return rooms.reduce((walls, room) => {
+            const insideA = containsPoint(room, a);
+            const insideB = containsPoint(room, b);
+            if (insideA !== insideB) return walls + 1;
+            if (!insideA && segmentCrossesRoom(a, b, room)) return walls + 2;
+            return walls;
+        }, 0);
+    }
+
+    function containsPoint(room, point) {
+        return point.x > room.position.x && point.x < room.position.x + room.dimensions.width &&
+            point.y > room.position.y && point.y < room.position.y + room.dimensions.length;
+    }
+
+    /**
+     * Liang-Barsky clip of segment a-b against the room rectangle
+     */
+    function segmentCrossesRoom(a, b, room) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const edges = [
+            [-dx, a.x - room.position.x],
+            [dx, room.position.x + room.dimensions.width - a.x],
+            [-dy, a.y - room.position.y],
+            [dy, room.position.y + room.dimensions.length - a.y]
+        ];
+
+        let enter = 0;
+        let exit = 1;
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q <= 0) return false;
+            } else {
+                const t = q / p;
+                if (p < 0) enter = Math.max(enter, t);
+                else exit = Math.min(exit, t);
+            }
+        }
+        return enter < exit;
+    }
+
+    /**
+     * Combine levels on an energy basis (dB)
+     */
+    function sumLevels(levels) {
+        const energy = levels.reduce((sum, db) => sum + Math.pow(10, db / 10), 0);
+        return energy > 0 ? 10 * Math.log10(energy) : -Infinity;
+    }
+
+    /**
+     * NASA noise limit for a room type (dB)
+     */
+    function getNoiseLimit(roomType) {
+        const limits = typeof NASA_STANDARDS !== 'undefined' ? NASA_STANDARDS.ENVIRONMENTAL.noise : DEFAULT_LIMITS;
+        if (roomType === 'crew_quarters') return limits.sleepingDb;
+        if (roomType === 'exercise') return limits.exerciseDb;
+        return limits.workingDb;
+    }
+
+    function getCentre(room) {
+        return {
+            x: room.position.x + room.dimensions.width / 2,
+            y: room.position.y + room.dimensions.length / 2
+        };
+    }
+
+    // Public API
+    return {
+        SOURCE_LEVELS: SOURCE_LEVELS,
+        analyzeNoise: analyzeNoise,
+        createNoiseGrid: createNoiseGrid,
+        getNoiseLimit: getNoiseLimit
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AcousticModel = AcousticModel;
+}
+
+console.log('🔊 Acoustic model loaded successfully');
@@ -212,6 +212,11 @@ const SpaceArchitects = (function() {
             });
             startBtn.setAttribute('data-initialized', 'true');
         }
+        
+        // Refresh the saved project list
+        if (typeof ProjectManager !== 'undefined') {
+            ProjectManager.renderProjectList();
+        }
     }
     
     /**
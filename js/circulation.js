@@ -0,0 +1,559 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - CIRCULATION ANALYSIS
+   NASA Space Apps Challenge Project
+
+   Checks that every room can be evacuated. The free floor between rooms
+   is rasterised into a walkable grid and searched for routes wide enough
+   for NASA_STANDARDS.SAFETY.fire.exitWidth from each room to an exit
+   (airlock). A room needs fire.exitPaths independent routes, i.e. routes
+   that leave through different walls and share no floor space.
+   The same grid provides walking distances between rooms for the
+   proximity, noise and emergency-access rules.
+   All coordinates are metres relative to the top-left of the floor plan.
+   ========================================================================== */
+
+const CirculationAnalysis = (function() {
+    'use strict';
+
+    // Size of one walkable grid cell (m)
+    const CELL_SIZE = 0.1;
+
+    // Defaults when NASA standards are not loaded
+    const DEFAULT_EXIT_WIDTH = 0.9;
+    const DEFAULT_EXIT_PATHS = 2;
+
+    // Room sides a door can be on
+    const SIDES = ['top', 'right', 'bottom', 'left'];
+
+    // Height between levels when none is given (m)
+    const DEFAULT_LEVEL_HEIGHT = 2.5;
+
+    // Room types that link levels when none are given
+    const DEFAULT_CONNECTOR_TYPES = ['stairs', 'ladder', 'hatch'];
+
+    // Last rasterised floor plan, reused while the plan is unchanged
+    let floorMaskCache = { plan: null, mask: null };
+
+    /**
+     * Analyse egress routes for every room on one floor
+     * @param {Object} options - floorPlan, rooms [{id, type, position, dimensions}],
+     *                           exitTypes (room types that count as exits),
+     *                           ignoreTypes (rooms that block the floor but need no routes)
+     * @returns {Object} { status, message, exitWidth, exitPaths, rooms: [{ id, type, status, message, routes }] }
+     */
+    function analyzeEgress(options) {
+        const { exitWidth, exitPaths } = getFireStandards();
+        const exitTypes = options.exitTypes || ['airlock'];
+        const ignoreTypes = options.ignoreTypes || [];
+
+        const grid = createGrid(options.floorPlan, options.rooms);
+        const clearance = Math.ceil(exitWidth / CELL_SIZE - 1e-6);
+        const exits = options.rooms.filter(room => exitTypes.includes(room.type));
+
+        const result = {
+            status: 'pass',
+            message: '',
+            exitWidth: exitWidth,
+            exitPaths: exitPaths,
+            rooms: []
+        };
+
+        if (exits.length === 0) {
+            result.status = 'fail';
+            result.message = 'No exit on this level';
+            return result;
+        }
+
+        // Positions where a person of exitWidth fits, and where exits can be reached
+        const walkable = getWalkableCells(grid, grid.blocked, clearance);
+        const exitMask = createExitMask(grid, exits, walkable, clearance);
+
+        options.rooms
+            .filter(room => !exitTypes.includes(room.type) && !ignoreTypes.includes(room.type))
+            .forEach(room => {
+                result.rooms.push(analyzeRoom(grid, room, walkable, exitMask, exits, clearance, exitPaths));
+            });
+
+        const failing = result.rooms.filter(room => room.status !== 'pass');
+        result.status = failing.length === 0 ? 'pass' : 'fail';
+        result.message = failing.length === 0
+            ? `${result.rooms.length} rooms with ${exitPaths} exit routes`
+            : `${failing.length} rooms without ${exitPaths} exit routes`;
+
+        return result;
+    }
+
+    /**
+     * Create a walking-distance service for a layout
+     * 
+     * Distances run from room centre to room centre: out through any wall,
+     * along floor at least passageWidth wide and in through a wall of the
+     * other room. Rooms on other levels are reached through connectors
+     * that sit at the same position on both levels.
+     * 
+     * @param {Object} options - floorPlan, rooms [{id, type, position, dimensions, level}],
+     *                           passageWidth (m), levelHeight (m), connectorTypes
+     * @returns {Object} { between(roomA, roomB) } distance in metres, Infinity when unreachable
+     */
+    function createDistanceMap(options) {
+        const passageWidth = options.passageWidth || getFireStandards().exitWidth;
+        const clearance = Math.ceil(passageWidth / CELL_SIZE - 1e-6);
+        const levelHeight = options.levelHeight || DEFAULT_LEVEL_HEIGHT;
+        const connectorTypes = options.connectorTypes || DEFAULT_CONNECTOR_TYPES;
+
+        // Grids and distance fields are built on first use
+        const levels = new Map();
+        const fields = new Map();
+
+        function getLevel(level) {
+            if (!levels.has(level)) {
+                const grid = createGrid(options.floorPlan, options.rooms.filter(room => (room.level || 0) === level));
+                levels.set(level, { grid: grid, walkable: getWalkableCells(grid, grid.blocked, clearance) });
+            }
+            return levels.get(level);
+        }
+
+        function getDoors(room) {
+            const { grid, walkable } = getLevel(room.level || 0);
+            return [].concat(...SIDES.map(side => getDoorCells(grid, room, side, walkable, clearance)));
+        }
+
+        function getField(room) {
+            if (!fields.has(room.id)) {
+                const { grid, walkable } = getLevel(room.level || 0);
+                const centre = getCentre(room);
+                const starts = getDoors(room).map(cell => ({
+                    cell: cell,
+                    cost: distanceToCell(grid, cell, clearance, centre)
+                }));
+                fields.set(room.id, findDistances(grid, starts, walkable));
+            }
+            return fields.get(room.id);
+        }
+
+        function walkOnLevel(from, to) {
+            if (from.id === to.id) return 0;
+
+            const { grid } = getLevel(from.level || 0);
+            const field = getField(from);
+            const centre = getCentre(to);
+
+            return getDoors(to).reduce((best, cell) =>
+                Math.min(best, field[cell] + distanceToCell(grid, cell, clearance, centre)), Infinity);
+        }
+
+        function between(from, to) {
+            const fromLevel = from.level || 0;
+            const toLevel = to.level || 0;
+            if (fromLevel === toLevel) return walkOnLevel(from, to);
+
+            // Climb through a connector that continues to the other level
+            const climb = Math.abs(fromLevel - toLevel) * levelHeight;
+            let best = Infinity;
+            options.rooms
+                .filter(room => (room.level || 0) === fromLevel && connectorTypes.includes(room.type))
+                .forEach(connector => {
+                    const landing = options.rooms.find(room =>
+                        (room.level || 0) === toLevel &&
+                        room.type === connector.type &&
+                        Math.abs(room.position.x - connector.position.x) < 0.01 &&
+                        Math.abs(room.position.y - connector.position.y) < 0.01
+                    );
+                    if (landing) {
+                        best = Math.min(best, walkOnLevel(from, connector) + climb + walkOnLevel(landing, to));
+                    }
+                });
+            return best;
+        }
+
+        return { between: between };
+    }
+
+    /**
+     * Dijkstra over walkable cells with diagonal steps
+     * @param {Array} starts - [{ cell, cost }] with the cost of reaching each start cell (m)
+     * @returns {Float64Array} Walking distance to every cell (m), Infinity when unreachable
+     */
+    function findDistances(grid, starts, walkable) {
+        const { columns, rows } = grid;
+        const distances = new Float64Array(columns * rows).fill(Infinity);
+        const heap = [];
+
+        const push = (cell, cost) => {
+            heap.push({ cell: cell, cost: cost });
+            for (let index = heap.length - 1; index > 0;) {
+                const parent = (index - 1) >> 1;
+                if (heap[parent].cost <= heap[index].cost) break;
+                [heap[parent], heap[index]] = [heap[index], heap[parent]];
+                index = parent;
+            }
+        };
+
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                for (let index = 0; ;) {
+                    const left = index * 2 + 1;
+                    const right = left + 1;
+                    let smallest = index;
+                    if (left < heap.length && heap[left].cost < heap[smallest].cost) smallest = left;
+                    if (right < heap.length && heap[right].cost < heap[smallest].cost) smallest = right;
+                    if (smallest === index) break;
+                    [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+                    index = smallest;
+                }
+            }
+            return top;
+        };
+
+        starts.forEach(start => {
+            if (walkable[start.cell] && start.cost < distances[start.cell]) {
+                distances[start.cell] = start.cost;
+                push(start.cell, start.cost);
+            }
+        });
+
+        const diagonal = Math.SQRT2 * CELL_SIZE;
+        while (heap.length > 0) {
+            const { cell, cost } = pop();
+            if (cost > distances[cell]) continue;
+
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if ((dx === 0 && dy === 0) || column + dx < 0 || column + dx >= columns ||
+                        row + dy < 0 || row + dy >= rows) continue;
+
+                    const next = cell + dy * columns + dx;
+                    if (!walkable[next]) continue;
+
+                    // Diagonal steps may not cut a corner
+                    if (dx !== 0 && dy !== 0 && !(walkable[cell + dx] && walkable[cell + dy * columns])) continue;
+
+                    const nextCost = cost + (dx !== 0 && dy !== 0 ? diagonal : CELL_SIZE);
+                    if (nextCost < distances[next]) {
+                        distances[next] = nextCost;
+                        push(next, nextCost);
+                    }
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Straight distance from a point to where a body stands on a cell (m)
+     */
+    function distanceToCell(grid, cell, clearance, point) {
+        const x = ((cell % grid.columns) + clearance / 2) * CELL_SIZE;
+        const y = (Math.floor(cell / grid.columns) + clearance / 2) * CELL_SIZE;
+        return Math.hypot(x - point.x, y - point.y);
+    }
+
+    function getCentre(room) {
+        return {
+            x: room.position.x + room.dimensions.width / 2,
+            y: room.position.y + room.dimensions.length / 2
+        };
+    }
+
+    /**
+     * Exit width and number of exit routes from NASA standards
+     */
+    function getFireStandards() {
+        const fire = typeof NASA_STANDARDS !== 'undefined' ? NASA_STANDARDS.SAFETY.fire : {};
+        return {
+            exitWidth: fire.exitWidth || DEFAULT_EXIT_WIDTH,
+            exitPaths: fire.exitPaths || DEFAULT_EXIT_PATHS
+        };
+    }
+
+    /**
+     * Rasterise the floor: cells off the floor or inside a room are blocked
+     */
+    function createGrid(plan, rooms) {
+        const columns = Math.round(plan.width / CELL_SIZE);
+        const rows = Math.round(plan.length / CELL_SIZE);
+        const blocked = Uint8Array.from(getFloorMask(plan, columns, rows));
+
+        rooms.forEach(room => {
+            const bounds = getCellBounds(room);
+            for (let row = Math.max(0, bounds.top); row < Math.min(rows, bounds.bottom); row++) {
+                for (let column = Math.max(0, bounds.left); column < Math.min(columns, bounds.right); column++) {
+                    blocked[row * columns + column] = 1;
+                }
+            }
+        });
+
+        return { columns: columns, rows: rows, blocked: blocked };
+    }
+
+    /**
+     * Cells off the floor plan
+     */
+    function getFloorMask(plan, columns, rows) {
+        if (floorMaskCache.plan !== plan) {
+            const mask = new Uint8Array(columns * rows);
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    if (!StructurePage.containsFootprint(plan, column * CELL_SIZE, row * CELL_SIZE, CELL_SIZE, CELL_SIZE)) {
+                        mask[row * columns + column] = 1;
+                    }
+                }
+            }
+            floorMaskCache = { plan: plan, mask: mask };
+        }
+        return floorMaskCache.mask;
+    }
+
+    /**
+     * Cells covered by a room, including partly covered ones
+     */
+    function getCellBounds(room) {
+        return {
+            left: Math.floor(room.position.x / CELL_SIZE + 1e-6),
+            top: Math.floor(room.position.y / CELL_SIZE + 1e-6),
+            right: Math.ceil((room.position.x + room.dimensions.width) / CELL_SIZE - 1e-6),
+            bottom: Math.ceil((room.position.y + room.dimensions.length) / CELL_SIZE - 1e-6)
+        };
+    }
+
+    /**
+     * Mark cells where a clearance x clearance body fits (cell is its top-left corner)
+     */
+    function getWalkableCells(grid, blocked, clearance) {
+        const { columns, rows } = grid;
+        const walkable = new Uint8Array(columns * rows);
+
+        // Summed-area table of blocked cells
+        const sums = new Int32Array((columns + 1) * (rows + 1));
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                sums[(row + 1) * (columns + 1) + column + 1] = blocked[row * columns + column] +
+                    sums[row * (columns + 1) + column + 1] +
+                    sums[(row + 1) * (columns + 1) + column] -
+                    sums[row * (columns + 1) + column];
+            }
+        }
+
+        for (let row = 0; row + clearance <= rows; row++) {
+            for (let column = 0; column + clearance <= columns; column++) {
+                const blockedCount = sums[(row + clearance) * (columns + 1) + column + clearance] -
+                    sums[row * (columns + 1) + column + clearance] -
+                    sums[(row + clearance) * (columns + 1) + column] +
+                    sums[row * (columns + 1) + column];
+                if (blockedCount === 0) {
+                    walkable[row * columns + column] = 1;
+                }
+            }
+        }
+
+        return walkable;
+    }
+
+    /**
+     * Walkable cells where a body stands right against a wall of the room
+     */
+    function getDoorCells(grid, room, side, walkable, clearance) {
+        const bounds = getCellBounds(room);
+        const cells = [];
+        const add = (column, row) => {
+            if (column >= 0 && row >= 0 && column < grid.columns && row < grid.rows &&
+                walkable[row * grid.columns + column]) {
+                cells.push(row * grid.columns + column);
+            }
+        };
+
+        if (side === 'top' || side === 'bottom') {
+            const row = side === 'top' ? bounds.top - clearance : bounds.bottom;
+            for (let column = bounds.left; column + clearance <= bounds.right; column++) add(column, row);
+        } else {
+            const column = side === 'left' ? bounds.left - clearance : bounds.right;
+            for (let row = bounds.top; row + clearance <= bounds.bottom; row++) add(column, row);
+        }
+
+        return cells;
+    }
+
+    /**
+     * Mark the door cells of every exit
+     */
+    function createExitMask(grid, exits, walkable, clearance) {
+        const mask = new Uint8Array(grid.columns * grid.rows);
+        exits.forEach(exit => {
+            SIDES.forEach(side => {
+                getDoorCells(grid, exit, side, walkable, clearance).forEach(cell => {
+                    mask[cell] = 1;
+                });
+            });
+        });
+        return mask;
+    }
+
+    /**
+     * Find the required number of independent routes from one room
+     */
+    function analyzeRoom(grid, room, walkable, exitMask, exits, clearance, exitPaths) {
+        const doors = {};
+        SIDES.forEach(side => {
+            doors[side] = getDoorCells(grid, room, side, walkable, clearance);
+        });
+
+        const analysis = { id: room.id, type: room.type, status: 'pass', message: '', routes: [] };
+        const firstRoute = findRoute(grid, [].concat(...SIDES.map(side => doors[side])), walkable, exitMask);
+
+        if (!firstRoute) {
+            // Distinguish walled-in rooms from rooms behind a too narrow gap
+            const narrowRoute = findNarrowRoute(grid, room, exits);
+            analysis.status = narrowRoute ? 'narrow' : 'blocked';
+            analysis.message = narrowRoute
+                ? `Only reachable through a gap narrower than ${(clearance * CELL_SIZE).toFixed(1)} m`
+                : 'No route to an exit';
+            if (narrowRoute) analysis.routes.push(narrowRoute);
+            return analysis;
+        }
+
+        // Try each wall as the first door and look for a second route that
+        // leaves through another wall without touching the first route
+        let routes = [firstRoute];
+        for (const side of SIDES) {
+            const route = findRoute(grid, doors[side], walkable, exitMask);
+            if (!route) continue;
+
+            const found = [route];
+            let blocked = grid.blocked;
+            const otherDoors = SIDES.filter(other => other !== side);
+
+            while (found.length < exitPaths) {
+                blocked = blockRoute(grid, blocked, found[found.length - 1], clearance);
+                const remaining = getWalkableCells(grid, blocked, clearance);
+                const next = findRoute(grid, [].concat(...otherDoors.map(other => doors[other])), remaining, exitMask);
+                if (!next) break;
+                found.push(next);
+            }
+
+            if (found.length > routes.length) routes = found;
+            if (routes.length >= exitPaths) break;
+        }
+
+        analysis.routes = routes.map(route => toPolyline(grid, route, clearance));
+        if (routes.length < exitPaths) {
+            analysis.status = 'single';
+            analysis.message = `${routes.length} of ${exitPaths} independent exit routes`;
+        }
+
+        return analysis;
+    }
+
+    /**
+     * Breadth-first search from start cells to any exit cell
+     * @returns {Array|null} Cell indices from start to exit
+     */
+    function findRoute(grid, startCells, walkable, exitMask) {
+        const { columns, rows } = grid;
+        const previous = new Int32Array(columns * rows).fill(-2);
+        const queue = new Int32Array(columns * rows);
+        let head = 0;
+        let tail = 0;
+
+        startCells.forEach(cell => {
+            if (walkable[cell] && previous[cell] === -2) {
+                previous[cell] = -1;
+                queue[tail++] = cell;
+            }
+        });
+
+        while (head < tail) {
+            const cell = queue[head++];
+            if (exitMask[cell]) {
+                const route = [];
+                for (let step = cell; step !== -1; step = previous[step]) route.push(step);
+                return route.reverse();
+            }
+
+            const column = cell % columns;
+            const neighbours = [
+                column + 1 < columns ? cell + 1 : -1,
+                column > 0 ? cell - 1 : -1,
+                cell + columns < columns * rows ? cell + columns : -1,
+                cell - columns
+            ];
+            for (const next of neighbours) {
+                if (next >= 0 && walkable[next] && previous[next] === -2) {
+                    previous[next] = cell;
+                    queue[tail++] = next;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Search again allowing any free gap, to explain why no wide route exists
+     */
+    function findNarrowRoute(grid, room, exits) {
+        const free = new Uint8Array(grid.blocked.length);
+        grid.blocked.forEach((isBlocked, cell) => {
+            free[cell] = isBlocked ? 0 : 1;
+        });
+
+        const exitMask = createExitMask(grid, exits, free, 1);
+        const starts = [].concat(...SIDES.map(side => getDoorCells(grid, room, side, free, 1)));
+        const route = findRoute(grid, starts, free, exitMask);
+
+        return route ? toPolyline(grid, route, 1) : null;
+    }
+
+    /**
+     * Block the floor swept by a route so later routes cannot share it
+     */
+    function blockRoute(grid, blocked, route, clearance) {
+        const result = Uint8Array.from(blocked);
+        route.forEach(cell => {
+            const column = cell % grid.columns;
+            const row = Math.floor(cell / grid.columns);
+            for (let dy = 0; dy < clearance; dy++) {
+                for (let dx = 0; dx < clearance; dx++) {
+                    result[(row + dy) * grid.columns + column + dx] = 1;
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Convert a cell route into centre-line points, keeping only the corners
+     */
+    function toPolyline(grid, route, clearance) {
+        const points = route.map(cell => ({
+            x: ((cell % grid.columns) + clearance / 2) * CELL_SIZE,
+            y: (Math.floor(cell / grid.columns) + clearance / 2) * CELL_SIZE
+        }));
+
+        return points.filter((point, index) => {
+            if (index === 0 || index === points.length - 1) return true;
+            const before = points[index - 1];
+            const after = points[index + 1];
+            return !((before.x === point.x && point.x === after.x) || (before.y === point.y && point.y === after.y));
+        });
+    }
+
+    // Public API
+    return {
+        CELL_SIZE: CELL_SIZE,
+        analyzeEgress: analyzeEgress,
+        createDistanceMap: createDistanceMap
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.CirculationAnalysis = CirculationAnalysis;
+}
+
+console.log('🚪 Circulation analysis module loaded successfully');
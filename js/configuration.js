@@ -29,14 +29,6 @@ const MissionConfig = (function() {
     
     // NASA standards and calculations
     const NASA_STANDARDS = {
-        // Volume requirements per person based on mission duration
-        volumePerPerson: {
-            short: 20, // < 30 days
-            medium: 25, // 30-90 days 
-            long: 30, // 90+ days
-            permanent: 40 // 180+ days
-        },
-        
         // Module efficiency factor (usable space vs total space)
         moduleEfficiency: 0.70, // 70% of space is habitable, 30% for systems
         
@@ -106,16 +98,7 @@ const MissionConfig = (function() {
         console.log('🔧 Calculating module dimensions for:', config);
         
         // Determine volume requirement per person based on duration
-        let volumePerPerson;
-        if (config.duration <= 30) {
-            volumePerPerson = NASA_STANDARDS.volumePerPerson.short;
-        } else if (config.duration <= 90) {
-            volumePerPerson = NASA_STANDARDS.volumePerPerson.medium;
-        } else if (config.duration <= 180) {
-            volumePerPerson = NASA_STANDARDS.volumePerPerson.long;
-        } else {
-            volumePerPerson = NASA_STANDARDS.volumePerPerson.permanent;
-        }
+        const volumePerPerson = getVolumeRequirement(config.duration).volumePerPerson;
         
         // Apply environmental factors
         const envFactor = NASA_STANDARDS.environmental[config.missionType];
@@ -0,0 +1,107 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - CONSUMABLES PLANNER
+   NASA Space Apps Challenge Project
+
+   Food, water, oxygen and spares the crew must store between resupply
+   missions, from calculateStorageRequirements and the destination's
+   resupply interval, and whether the placed storage rooms can hold them.
+   ========================================================================== */
+
+const ConsumablesPlanner = (function() {
+    'use strict';
+
+    // Consumables shown in the planner, keyed by their calculateStorageRequirements mass
+    const CONSUMABLES = {
+        food: { name: 'Food', volumeKey: 'foodStorage' },
+        water: { name: 'Water', volumeKey: 'waterStorage' },
+        oxygen: { name: 'Oxygen', volumeKey: 'oxygenStorage' },
+        spares: { name: 'Spares', volumeKey: 'equipmentStorage' }
+    };
+
+    /**
+     * Consumables to store for the crew until the next resupply
+     * @param {Object} missionConfig - crewSize, duration, missionType
+     * @returns {Object} { resupplyInterval, supplyDays, resupplies, items: [{ id, name, mass, volume }],
+     *                     totalMass, totalVolume, missionMass } with masses in kg and volumes in m³
+     */
+    function planConsumables(missionConfig) {
+        const pack = DestinationRules.getRulePack(missionConfig.missionType);
+        const resupplyInterval = pack ? pack.standards.resupplyInterval : missionConfig.duration;
+        const requirements = calculateStorageRequirements(missionConfig.crewSize, missionConfig.duration, resupplyInterval);
+
+        const items = Object.entries(CONSUMABLES).map(([id, item]) => ({
+            id: id,
+            name: item.name,
+            mass: requirements.mass[id],
+            volume: requirements[item.volumeKey]
+        }));
+        items.push({ id: 'personal', name: 'Personal items', mass: null, volume: requirements.personalItems });
+
+        return {
+            resupplyInterval: resupplyInterval,
+            supplyDays: requirements.supplyDays,
+            resupplies: Math.max(0, Math.ceil(missionConfig.duration / resupplyInterval) - 1),
+            items: items,
+            totalMass: requirements.totalMass,
+            totalVolume: requirements.totalRequired,
+
+            // Everything launched over the mission, as if it were never resupplied
+            missionMass: calculateStorageRequirements(missionConfig.crewSize, missionConfig.duration).totalMass
+        };
+    }
+
+    /**
+     * Usable volume of the placed storage rooms (m³)
+     * @param {Array} rooms - Rooms with a type
+     */
+    function getStorageCapacity(rooms) {
+        return rooms.filter(room => room.type === 'storage').length * getStorageRoomCapacity();
+    }
+
+    /**
+     * Storage rooms needed to hold the consumables
+     * @param {Object} missionConfig - crewSize, duration, missionType
+     */
+    function getRequiredStorageRooms(missionConfig) {
+        return Math.max(1, Math.ceil(planConsumables(missionConfig).totalVolume / getStorageRoomCapacity()));
+    }
+
+    /**
+     * Check the placed storage rooms hold the consumables until the next resupply
+     * @param {Object} options - rooms [{type}], missionConfig
+     * @returns {Object} { status, message, plan, capacity }
+     */
+    function checkStorage(options) {
+        const plan = planConsumables(options.missionConfig);
+        const capacity = getStorageCapacity(options.rooms);
+
+        return {
+            status: capacity >= plan.totalVolume ? 'pass' : 'fail',
+            message: `${capacity.toFixed(1)} / ${plan.totalVolume.toFixed(1)} m³ for ${plan.supplyDays} days of supplies`,
+            plan: plan,
+            capacity: capacity
+        };
+    }
+
+    /**
+     * Usable volume of one storage room, leaving access aisles and racks (m³)
+     */
+    function getStorageRoomCapacity() {
+        return RoomsManager.getRoomById('storage').volume * NASA_STANDARDS.MODULE.efficiency.usableVolume;
+    }
+
+    // Public API
+    return {
+        planConsumables: planConsumables,
+        getStorageCapacity: getStorageCapacity,
+        getRequiredStorageRooms: getRequiredStorageRooms,
+        checkStorage: checkStorage
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ConsumablesPlanner = ConsumablesPlanner;
+}
+
+console.log('🥫 Consumables planner loaded successfully');
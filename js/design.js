@@ -0,0 +1,427 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - DESIGN FILE MODULE
+   NASA Space Apps Challenge Project
+
+   Exports complete habitat designs as versioned JSON documents and
+   validates imported documents before they are loaded into the editor.
+   Room layouts in design files are always stored in metres. Documents
+   without a shielding section load with no shell and the default shelter;
+   without a power section, generation is sized for the crew.
+   ========================================================================== */
+
+const DesignFile = (function() {
+    'use strict';
+
+    // Identifier written to every design document
+    const FORMAT_ID = 'space-architects-design';
+
+    // Current design document version
+    const FORMAT_VERSION = 1;
+
+    // Pixel scale used by final designs saved before versioned export
+    const LEGACY_PIXELS_PER_METRE = 20;
+
+    // Canvas offset of the module outline in final designs saved before versioned export
+    const LEGACY_MODULE_ORIGIN = 40;
+
+    // Structure choices a design may reference
+    const STRUCTURE_TYPES = ['dome', 'torus', 'cube', 'cylinder'];
+    const STRUCTURE_SIZES = ['small', 'medium', 'large'];
+
+    // Generation sources a design may set (see PowerBudget)
+    const POWER_SOURCES = ['solarArea', 'fission', 'battery'];
+
+    /**
+     * Build a design document from the current editor data
+     * @param {Object} design - missionConfig, structureConfig, rooms (metres), levels,
+     *                          shielding { materials, shelterId }, power (generation the
+     *                          user changed) and validation
+     * @returns {Object} Versioned design document
+     */
+    function createDesignDocument(design) {
+        const structure = design.structureConfig || {};
+        const shielding = design.shielding;
+
+        return {
+            format: FORMAT_ID,
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            missionConfig: { ...design.missionConfig },
+            structureConfig: {
+                selectedStructureType: structure.selectedStructureType,
+                selectedSize: structure.selectedSize
+            },
+            layout: {
+                units: 'm',
+                levels: design.levels || 1,
+                rooms: design.rooms.map(room => ({
+                    type: room.type,
+                    position: { x: room.position.x, y: room.position.y },
+                    dimensions: { width: room.dimensions.width, length: room.dimensions.length },
+                    orientation: room.orientation || 0,
+                    level: room.level || 0
+                }))
+            },
+            // Room ids are not kept, so the shelter is stored by its index in layout.rooms
+            shielding: shielding ? {
+                materials: { ...shielding.materials },
+                shelterRoom: getRoomIndex(design.rooms, shielding.shelterId)
+            } : null,
+            power: design.power ? { ...design.power } : null,
+            validation: design.validation || null
+        };
+    }
+
+    /**
+     * Index of a room in the layout, or null if it is not placed
+     */
+    function getRoomIndex(rooms, roomId) {
+        const index = roomId ? rooms.findIndex(room => room.id === roomId) : -1;
+        return index >= 0 ? index : null;
+    }
+
+    /**
+     * Trigger a browser download of a design document
+     * @param {Object} designDocument - Document from createDesignDocument
+     * @param {string} filename - Suggested file name
+     */
+    function downloadDesign(designDocument, filename) {
+        const blob = new Blob([JSON.stringify(designDocument, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename || `habitat-design-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+        console.log('📤 Design exported:', link.download);
+    }
+
+    /**
+     * Read and validate a design file chosen by the user
+     * @param {File} file - Uploaded file
+     * @param {Function} callback - Receives the result of parseDesign
+     */
+    function readDesignFile(file, callback) {
+        const reader = new FileReader();
+
+        reader.onload = function() {
+            callback(parseDesign(reader.result));
+        };
+
+        reader.onerror = function() {
+            callback({ valid: false, errors: [`Could not read file "${file.name}"`], design: null });
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Parse and validate design JSON text
+     * @param {string} text - File contents
+     * @returns {Object} { valid, errors, design, migratedFrom }
+     */
+    function parseDesign(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { valid: false, errors: ['File is not valid JSON: ' + error.message], design: null };
+        }
+
+        return validateDesignDocument(data);
+    }
+
+    /**
+     * Validate a design document, migrating older versions where possible
+     * @param {Object} data - Parsed design document
+     * @returns {Object} { valid, errors, design, migratedFrom }
+     */
+    function validateDesignDocument(data) {
+        if (!isObject(data)) {
+            return { valid: false, errors: ['Design file must contain a JSON object'], design: null };
+        }
+
+        let migratedFrom = null;
+
+        if (data.format !== FORMAT_ID) {
+            // Final designs saved by the editor before versioned export
+            if (data.version === undefined && Array.isArray(data.roomLayout) && isObject(data.missionConfig)) {
+                data = migrateLegacyDesign(data);
+                migratedFrom = 0;
+            } else {
+                return { valid: false, errors: ['Not a Space Architects design file (missing "format" field)'], design: null };
+            }
+        } else if (!Number.isInteger(data.version) || data.version < 1) {
+            return { valid: false, errors: [`Unsupported design version "${data.version}"`], design: null };
+        } else if (data.version > FORMAT_VERSION) {
+            return {
+                valid: false,
+                errors: [`Design was created with a newer version (v${data.version}); this editor supports up to v${FORMAT_VERSION}`],
+                design: null
+            };
+        }
+
+        const errors = [
+            ...validateMissionConfig(data.missionConfig),
+            ...validateStructureConfig(data.structureConfig),
+            ...validateLayout(data.layout),
+            ...validateShielding(data.shielding, data.layout),
+            ...validatePower(data.power)
+        ];
+
+        if (data.validation !== undefined && data.validation !== null && !isObject(data.validation)) {
+            errors.push('validation: must be an object');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, errors: errors, design: null };
+        }
+
+        // Normalise room ids onto the shared room registry
+        const design = {
+            ...data,
+            layout: {
+                units: 'm',
+                levels: data.layout.levels || 1,
+                rooms: data.layout.rooms.map(room => ({
+                    ...room,
+                    type: RoomsManager.resolveRoomId(room.type),
+                    orientation: room.orientation || 0,
+                    level: room.level || 0
+                }))
+            },
+            shielding: data.shielding ? {
+                materials: { ...data.shielding.materials },
+                shelterRoom: data.shielding.shelterRoom === undefined ? null : data.shielding.shelterRoom
+            } : null,
+            power: data.power ? { ...data.power } : null
+        };
+
+        return { valid: true, errors: [], design: design, migratedFrom: migratedFrom };
+    }
+
+    /**
+     * Check the missionConfig section
+     */
+    function validateMissionConfig(config) {
+        if (!isObject(config)) {
+            return ['missionConfig: missing or not an object'];
+        }
+
+        const errors = [];
+        const options = typeof MissionConfig !== 'undefined' ? MissionConfig.getMissionOptions() : null;
+
+        const missionTypes = options ? options.types.map(t => t.value) : ['moon', 'mars'];
+        if (!missionTypes.includes(config.missionType)) {
+            errors.push(`missionConfig.missionType: expected one of ${missionTypes.join(', ')}`);
+        }
+
+        const crewSizes = options ? options.crewSizes.map(s => s.value) : null;
+        if (!Number.isInteger(config.crewSize) || (crewSizes && !crewSizes.includes(config.crewSize))) {
+            errors.push(`missionConfig.crewSize: expected ${crewSizes ? 'one of ' + crewSizes.join(', ') : 'an integer'}`);
+        }
+
+        if (typeof config.duration !== 'number' || !(config.duration > 0)) {
+            errors.push('missionConfig.duration: expected a positive number of days');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the structureConfig section
+     */
+    function validateStructureConfig(structure) {
+        if (!isObject(structure)) {
+            return ['structureConfig: missing or not an object'];
+        }
+
+        const errors = [];
+
+        if (!STRUCTURE_TYPES.includes(structure.selectedStructureType)) {
+            errors.push(`structureConfig.selectedStructureType: expected one of ${STRUCTURE_TYPES.join(', ')}`);
+        }
+
+        if (!STRUCTURE_SIZES.includes(structure.selectedSize)) {
+            errors.push(`structureConfig.selectedSize: expected one of ${STRUCTURE_SIZES.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the layout section and every room in it
+     */
+    function validateLayout(layout) {
+        if (!isObject(layout)) {
+            return ['layout: missing or not an object'];
+        }
+
+        if (layout.units !== 'm') {
+            return ['layout.units: expected "m"'];
+        }
+
+        if (!Array.isArray(layout.rooms)) {
+            return ['layout.rooms: expected an array'];
+        }
+
+        const errors = [];
+
+        if (layout.levels !== undefined && !(Number.isInteger(layout.levels) && layout.levels >= 1)) {
+            errors.push('layout.levels: expected a positive integer');
+        }
+
+        layout.rooms.forEach((room, index) => {
+            const path = `layout.rooms[${index}]`;
+
+            if (!isObject(room)) {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+
+            if (typeof room.type !== 'string' || !RoomsManager.resolveRoomId(room.type)) {
+                errors.push(`${path}.type: unknown room type "${room.type}"`);
+            }
+
+            if (!isObject(room.position) || !isFiniteNumber(room.position.x) || !isFiniteNumber(room.position.y)) {
+                errors.push(`${path}.position: expected numeric x and y in metres`);
+            } else if (room.position.x < 0 || room.position.y < 0) {
+                errors.push(`${path}.position: coordinates must not be negative`);
+            }
+
+            if (room.orientation !== undefined && room.orientation !== 0 && room.orientation !== 90) {
+                errors.push(`${path}.orientation: expected 0 or 90`);
+            }
+
+            if (room.level !== undefined && !(Number.isInteger(room.level) && room.level >= 0)) {
+                errors.push(`${path}.level: expected a non-negative integer`);
+            } else if (Number.isInteger(layout.levels) && layout.levels >= 1 && room.level >= layout.levels) {
+                errors.push(`${path}.level: level ${room.level} is outside the ${layout.levels} levels of the layout`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check the optional shielding section: shell materials in cm and
+     * the storm shelter as an index into layout.rooms
+     */
+    function validateShielding(shielding, layout) {
+        if (shielding === undefined || shielding === null) {
+            return [];
+        }
+
+        if (!isObject(shielding)) {
+            return ['shielding: must be an object'];
+        }
+
+        const errors = [];
+        const materials = typeof ShieldingModel !== 'undefined' ? Object.keys(ShieldingModel.MATERIALS) : null;
+
+        if (!isObject(shielding.materials)) {
+            errors.push('shielding.materials: expected an object of shell thicknesses in cm');
+        } else {
+            Object.entries(shielding.materials).forEach(([material, thickness]) => {
+                if (materials && !materials.includes(material)) {
+                    errors.push(`shielding.materials.${material}: expected one of ${materials.join(', ')}`);
+                } else if (!isFiniteNumber(thickness) || thickness < 0) {
+                    errors.push(`shielding.materials.${material}: expected a non-negative thickness in cm`);
+                }
+            });
+        }
+
+        const roomCount = isObject(layout) && Array.isArray(layout.rooms) ? layout.rooms.length : 0;
+        if (shielding.shelterRoom !== undefined && shielding.shelterRoom !== null &&
+            !(Number.isInteger(shielding.shelterRoom) && shielding.shelterRoom >= 0 && shielding.shelterRoom < roomCount)) {
+            errors.push('shielding.shelterRoom: expected the index of a room in layout.rooms');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the optional power section: the generation sources the user
+     * changed, in m² of solar array, kW of fission and kWh of batteries
+     */
+    function validatePower(power) {
+        if (power === undefined || power === null) {
+            return [];
+        }
+
+        if (!isObject(power)) {
+            return ['power: must be an object'];
+        }
+
+        const errors = [];
+
+        Object.entries(power).forEach(([source, value]) => {
+            if (!POWER_SOURCES.includes(source)) {
+                errors.push(`power.${source}: expected one of ${POWER_SOURCES.join(', ')}`);
+            } else if (!isFiniteNumber(value) || value < 0) {
+                errors.push(`power.${source}: expected a non-negative number`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Convert a pre-versioning final design (pixel positions) to version 1
+     */
+    function migrateLegacyDesign(data) {
+        const structure = data.structureConfig || {};
+
+        return {
+            format: FORMAT_ID,
+            version: FORMAT_VERSION,
+            missionConfig: data.missionConfig,
+            structureConfig: {
+                selectedStructureType: structure.selectedStructureType,
+                selectedSize: structure.selectedSize || 'medium'
+            },
+            layout: {
+                units: 'm',
+                rooms: data.roomLayout.map(room => ({
+                    type: room && room.roomType,
+                    position: room && isObject(room.position) ? {
+                        x: Math.max(0, room.position.x - LEGACY_MODULE_ORIGIN) / LEGACY_PIXELS_PER_METRE,
+                        y: Math.max(0, room.position.y - LEGACY_MODULE_ORIGIN) / LEGACY_PIXELS_PER_METRE
+                    } : null,
+                    orientation: room && room.orientation,
+                    level: room && room.level
+                }))
+            },
+            validation: isObject(data.validation) ? data.validation : null
+        };
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    // Public API
+    return {
+        FORMAT_VERSION: FORMAT_VERSION,
+        createDesignDocument: createDesignDocument,
+        downloadDesign: downloadDesign,
+        readDesignFile: readDesignFile,
+        parseDesign: parseDesign,
+        validateDesignDocument: validateDesignDocument
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DesignFile = DesignFile;
+}
+
+console.log('📦 Design file module loaded successfully');
@@ -0,0 +1,186 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - DESTINATION RULES
+   NASA Space Apps Challenge Project
+
+   Rule packs for lunar and Mars habitats built on
+   NASA_STANDARDS.MISSION_SPECIFIC: dust locks where dust mitigation is
+   needed, storage for the supplies between resupplies (sized by
+   ConsumablesPlanner), and design notes for seismic activity, dust storms,
+   evacuation time and thermal swing. The storm shelter every destination
+   needs is checked by ShieldingModel. Rooms are in metres as from the
+   editor layout.
+   ========================================================================== */
+
+const DestinationRules = (function() {
+    'use strict';
+
+    // Rule packs keyed by MissionConfig missionType
+    const RULE_PACKS = {
+        moon: {
+            name: 'Lunar Surface',
+            standardsKey: 'lunar',
+            dustStorms: false
+        },
+        mars: {
+            name: 'Mars Surface',
+            standardsKey: 'mars',
+            dustStorms: true            // Global dust storms last for weeks
+        }
+    };
+
+    // Rules and the destinations they apply to
+    const RULES = {
+        dustLock: {
+            name: 'Dust lock at every airlock',
+            appliesTo: (pack, standards) => standards.dustMitigation,
+            check: checkDustLocks,
+            actions: ['Place a Dust Lock sharing a wall with each airlock']
+        },
+        supplyStorage: {
+            name: 'Storage for the resupply interval',
+            appliesTo: () => true,
+            check: checkSupplyStorage,
+            actions: ['Add Storage rooms until supplies last until the next resupply']
+        }
+    };
+
+    /**
+     * Rule pack for a mission type, with its NASA mission-specific data
+     * @param {string} missionType - 'moon' or 'mars'
+     * @returns {Object|null} { id, name, standards, dustStorms }
+     */
+    function getRulePack(missionType) {
+        const pack = RULE_PACKS[missionType];
+        if (!pack) return null;
+
+        return { id: missionType, ...pack, standards: NASA_STANDARDS.MISSION_SPECIFIC[pack.standardsKey] };
+    }
+
+    /**
+     * Rooms needed for the crew, extended with the destination's own rooms
+     * @param {Object} missionConfig - crewSize, duration, missionType
+     * @returns {Object} Required room quantities
+     */
+    function getRequiredRooms(missionConfig) {
+        const required = RoomsManager.calculateRequiredRooms(missionConfig.crewSize);
+        const pack = getRulePack(missionConfig.missionType);
+        if (!pack) return required;
+
+        if (RULES.dustLock.appliesTo(pack, pack.standards)) {
+            required.dust_lock = required.airlock;
+        }
+        required.storage = Math.max(required.storage || 0, ConsumablesPlanner.getRequiredStorageRooms(missionConfig));
+
+        return required;
+    }
+
+    /**
+     * Check the layout against the destination rule pack
+     * @param {Object} options - rooms [{id, type, position, dimensions, level}], missionConfig
+     * @returns {Object} { status, message, pack, issues, rules: [{ id, name, status, message }] }
+     */
+    function checkRules(options) {
+        const pack = getRulePack(options.missionConfig.missionType);
+        if (!pack) {
+            return { status: 'pass', message: 'No rule pack for this destination', pack: null, issues: [], rules: [] };
+        }
+
+        const rules = Object.entries(RULES)
+            .filter(([id, rule]) => rule.appliesTo(pack, pack.standards))
+            .map(([id, rule]) => ({ id: id, name: rule.name, ...rule.check(options.rooms, options.missionConfig, pack) }));
+
+        const issues = rules.filter(rule => rule.status !== 'pass').map(rule => rule.message);
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            message: issues.length === 0
+                ? `${pack.name} rules met`
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : ''),
+            pack: pack,
+            issues: issues,
+            rules: rules
+        };
+    }
+
+    /**
+     * Recommendations from failed rules and destination design notes,
+     * in the format of ScoringSystem recommendations
+     * @param {Object} options - rooms, missionConfig
+     * @returns {Array} [{ category, priority, message, actions }]
+     */
+    function getRecommendations(options) {
+        const result = checkRules(options);
+        if (!result.pack) return [];
+
+        const { name, standards, dustStorms } = result.pack;
+        const recommendations = result.rules
+            .filter(rule => rule.status !== 'pass')
+            .map(rule => ({
+                category: name,
+                priority: 'high',
+                message: rule.message,
+                actions: RULES[rule.id].actions
+            }));
+
+        const notes = [];
+        if (standards.seismicActivity) {
+            notes.push('Quakes are possible: brace tall racks and anchor heavy equipment to the structure');
+        }
+        if (dustStorms) {
+            notes.push('Dust storms can last for weeks: stock the storm shelter to wait out a storm');
+        }
+        notes.push(`Evacuation can take up to ${standards.evacuationTime} h: keep supplies for the crew to wait it out`);
+        notes.push(`Surface temperature swings by ${standards.thermalSwing} K: insulate walls facing the exterior`);
+
+        recommendations.push({
+            category: name,
+            priority: 'low',
+            message: `${name} design notes`,
+            actions: notes
+        });
+
+        return recommendations;
+    }
+
+    /**
+     * Every airlock needs a dust lock sharing one of its walls
+     */
+    function checkDustLocks(rooms) {
+        const airlocks = rooms.filter(room => room.type === 'airlock');
+        const dustLocks = rooms.filter(room => room.type === 'dust_lock');
+
+        if (airlocks.length === 0) {
+            return { status: 'pass', message: 'No airlock placed yet' };
+        }
+
+        const unprotected = airlocks.filter(airlock => !dustLocks.some(dustLock =>
+            (dustLock.level || 0) === (airlock.level || 0) && ZoningModel.sharesWall(airlock, dustLock)));
+
+        return unprotected.length === 0
+            ? { status: 'pass', message: 'Dust lock beside every airlock' }
+            : { status: 'fail', message: `${unprotected.length} of ${airlocks.length} airlocks without an adjoining dust lock` };
+    }
+
+    /**
+     * Storage rooms must hold the consumables until the next resupply
+     * (see ConsumablesPlanner)
+     */
+    function checkSupplyStorage(rooms, missionConfig) {
+        const result = ConsumablesPlanner.checkStorage({ rooms: rooms, missionConfig: missionConfig });
+        return { status: result.status, message: result.message };
+    }
+
+    // Public API
+    return {
+        getRulePack: getRulePack,
+        getRequiredRooms: getRequiredRooms,
+        checkRules: checkRules,
+        getRecommendations: getRecommendations
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DestinationRules = DestinationRules;
+}
+
+console.log('🪐 Destination rules loaded successfully');
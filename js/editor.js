@@ -14,6 +14,7 @@ Integrates with your existing modules:
 - SpaceArchitects (main app)
 - MissionConfig (configuration data)
 - StructurePage (structure selections)
+- RoomsManager (shared room registry)
 ================================================================================
 */
 
@@ -32,156 +33,85 @@ const HabitatEditor = (function() {
         
         // Room placement data
         placedRooms: new Map(),
+        levelCount: 1,
+        currentLevel: 0,
         
         // Canvas and interaction state
         canvas: null,
+        moduleDimensions: { width: 12, length: 12, area: 144 }, // m - README base module
+        floorPlan: null,
         isDragging: false,
         dragElement: null,
+        contextMenu: null,
+        selectedRoomType: null,
+        showHeatmap: false,
+        showEgressPaths: false,
+        egressAnalysis: [],
+        useWalkingDistance: true,
+        showNoiseMap: false,
+        noiseAnalysis: null,
+        showZones: false,
+        zoneAnalysis: null,
+        shielding: {
+            materials: { water: 0, polyethylene: 0, regolith: 0 }, // cm of each shell layer
+            shelterId: null                                        // null: first Storm Shelter
+        },
+        shieldingAnalysis: null,
+        consumablesPlan: null,
+        power: {},                      // Generation sources the user changed; the rest follow the crew
+        powerAnalysis: null,
+        thermalAnalysis: null,
+        scheduleSimulation: null,
         
         // Validation state
         validationResults: {},
-        complianceScore: 0
+        complianceScore: 0,
+        habitatScore: null,
+
+        // Undo/redo history of saved room layouts, as { levels, rooms } entries
+        history: {
+            undoStack: [],
+            redoStack: [],
+            current: null,
+            batchDepth: 0,
+            restoring: false
+        }
     };
 
-    // Room specifications database (matching your NASA standards)
-    const ROOM_CATALOG = {
-        airlock: {
-            id: 'airlock',
-            name: 'Airlock',
-            icon: '🚪',
-            description: 'Entry/exit with spacesuit storage',
-            area: 10, // m²
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'essential',
-            category: 'utility',
-            noiseLevel: 'low',
-            color: '#4A9EFF'
-        },
-        'life-support': {
-            id: 'life-support',
-            name: 'Life Support',
-            icon: '🔄',
-            description: 'ECLSS core, waste management',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'essential',
-            category: 'utility',
-            noiseLevel: 'medium',
-            color: '#FF9800'
-        },
-        sleeping: {
-            id: 'sleeping',
-            name: 'Sleeping Quarters',
-            icon: '🛏️',
-            description: 'Individual soundproof quarters',
-            area: 6,
-            dimensions: { width: 2, length: 3, height: 2.5 },
-            type: 'essential',
-            category: 'personal',
-            noiseLevel: 'low',
-            color: '#4CAF50'
-        },
-        kitchen: {
-            id: 'kitchen',
-            name: 'Kitchen/Dining',
-            icon: '🍽️',
-            description: 'Food prep and eating area',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'essential',
-            category: 'social',
-            noiseLevel: 'low',
-            color: '#FFC107'
-        },
-        hygiene: {
-            id: 'hygiene',
-            name: 'Hygiene',
-            icon: '🚿',
-            description: 'Toilet, shower, sink facilities',
-            area: 6,
-            dimensions: { width: 2, length: 3, height: 2.5 },
-            type: 'essential',
-            category: 'personal',
-            noiseLevel: 'low',
-            color: '#2196F3'
-        },
-        medical: {
-            id: 'medical',
-            name: 'Medical',
-            icon: '🏥',
-            description: 'Basic medical care station',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'essential',
-            category: 'utility',
-            noiseLevel: 'low',
-            color: '#F44336'
-        },
-        gym: {
-            id: 'gym',
-            name: 'Gym',
-            icon: '💪',
-            description: 'Exercise equipment area',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'required',
-            category: 'health',
-            noiseLevel: 'high',
-            color: '#E91E63'
-        },
-        maintenance: {
-            id: 'maintenance',
-            name: 'Maintenance',
-            icon: '🔧',
-            description: 'Tools and mission planning',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'required',
-            category: 'work',
-            noiseLevel: 'medium',
-            color: '#9C27B0'
-        },
-        storage: {
-            id: 'storage',
-            name: 'Storage',
-            icon: '📦',
-            description: 'Additional storage space',
-            area: 6,
-            dimensions: { width: 2, length: 3, height: 2.5 },
-            type: 'optional',
-            category: 'utility',
-            noiseLevel: 'low',
-            color: '#795548'
-        },
-        laboratory: {
-            id: 'laboratory',
-            name: 'Laboratory',
-            icon: '🔬',
-            description: 'Experiments and research',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'optional',
-            category: 'work',
-            noiseLevel: 'low',
-            color: '#607D8B'
-        },
-        greenhouse: {
-            id: 'greenhouse',
-            name: 'Greenhouse',
-            icon: '🌱',
-            description: 'Plant growth, oxygen generation',
-            area: 10,
-            dimensions: { width: 2.5, length: 4, height: 2.5 },
-            type: 'optional',
-            category: 'health',
-            noiseLevel: 'low',
-            color: '#4CAF50'
-        }
+    // Palette sections, in display order, keyed by registry room category
+    const PALETTE_SECTIONS = {
+        essential: 'Essential Modules',
+        required: 'Required Modules',
+        optional: 'Optional Modules',
+        connector: 'Vertical Connections',
+        destination: 'Destination Modules'
     };
 
+    // Version of the layout format stored in spaceArchitects_roomLayout
+    const LAYOUT_VERSION = 2;
+
     // Grid scale (pixels per meter)
     const GRID_SCALE = 20; // 20px = 1m
 
+    // Offset of the module outline inside the canvas (pixels)
+    const MODULE_ORIGIN = 40;
+
+    // Floor-to-floor height of a habitat level (README: 2.5m per level)
+    const LEVEL_HEIGHT = 2.5;
+
+    // Maximum number of levels in a habitat tower
+    const MAX_LEVELS = 4;
+
+    // Spacing of the placement heatmap grid (m), matching snapToGrid so
+    // every painted cell is a position a room can be dropped at
+    const HEATMAP_GRID_SIZE = 1;
+
+    // Spacing of the noise map grid (m)
+    const NOISE_GRID_SIZE = 0.5;
+
+    // Maximum number of undo steps kept in the layout history
+    const HISTORY_LIMIT = 50;
+
     /**
      * Initialize the habitat editor
      */
@@ -196,10 +126,15 @@ const HabitatEditor = (function() {
 
         // Initialize UI components
         setupCanvas();
+        renderRoomCatalog();
         setupDragAndDrop();
         setupValidation();
         setupNavigation();
         setupControls();
+        setupHistory();
+        setupShieldingControls();
+        setupPowerControls();
+        renderLevelSwitcher();
 
         // Update displays with loaded data
         updateMissionInfoDisplay();
@@ -229,6 +164,9 @@ const HabitatEditor = (function() {
 
         // Load structure configuration  
         if (typeof StructurePage !== 'undefined') {
+            if (!StructurePage.getStructureState().selectedStructureType) {
+                StructurePage.loadStructureState();
+            }
             editorState.structureConfig = StructurePage.getStructureState();
             console.log('✅ Structure config loaded:', editorState.structureConfig);
         } else {
@@ -277,9 +215,102 @@ const HabitatEditor = (function() {
             });
         }
 
+        const walkingToggle = document.getElementById('walking-distance-toggle');
+        if (walkingToggle && !walkingToggle.hasAttribute('data-initialized')) {
+            walkingToggle.addEventListener('change', function() {
+                editorState.useWalkingDistance = this.checked;
+                validateCurrentLayout();
+            });
+            walkingToggle.setAttribute('data-initialized', 'true');
+        }
+
+        const noiseToggle = document.getElementById('noise-toggle');
+        if (noiseToggle && !noiseToggle.hasAttribute('data-initialized')) {
+            noiseToggle.addEventListener('change', function() {
+                editorState.showNoiseMap = this.checked;
+                renderNoiseMap();
+            });
+            noiseToggle.setAttribute('data-initialized', 'true');
+        }
+
+        const zoneToggle = document.getElementById('zone-toggle');
+        if (zoneToggle && !zoneToggle.hasAttribute('data-initialized')) {
+            zoneToggle.addEventListener('change', function() {
+                editorState.showZones = this.checked;
+                renderZones();
+            });
+            zoneToggle.setAttribute('data-initialized', 'true');
+        }
+
+        const egressToggle = document.getElementById('egress-toggle');
+        if (egressToggle && !egressToggle.hasAttribute('data-initialized')) {
+            egressToggle.addEventListener('change', function() {
+                editorState.showEgressPaths = this.checked;
+                renderEgressPaths();
+            });
+            egressToggle.setAttribute('data-initialized', 'true');
+        }
+
+        const heatmapToggle = document.getElementById('heatmap-toggle');
+        if (heatmapToggle && !heatmapToggle.hasAttribute('data-initialized')) {
+            heatmapToggle.addEventListener('change', function() {
+                editorState.showHeatmap = this.checked;
+                renderHeatmap();
+            });
+            heatmapToggle.setAttribute('data-initialized', 'true');
+        }
+
         console.log('🖼️ Canvas initialized');
     }
 
+    /**
+     * Get a room definition from the shared room registry
+     */
+    function getRoomSpec(roomId) {
+        return RoomsManager.getRoomById(roomId);
+    }
+
+    /**
+     * Build the room palette from the shared room registry
+     */
+    function renderRoomCatalog() {
+        const catalog = document.getElementById('rooms-catalog');
+        if (!catalog) return;
+
+        catalog.innerHTML = '';
+
+        Object.entries(PALETTE_SECTIONS).forEach(([category, title]) => {
+            const rooms = RoomsManager.getRoomsByCategory(category);
+            if (rooms.length === 0) return;
+
+            const section = document.createElement('div');
+            section.className = 'room-section';
+            section.innerHTML = `<h3>${title}</h3>`;
+
+            rooms.forEach(room => {
+                const item = document.createElement('div');
+                item.className = 'room-item';
+                item.draggable = true;
+                item.dataset.roomId = room.id;
+                item.dataset.category = room.category;
+                item.innerHTML = `
+                    <div class="room-color" style="background-color: ${room.color};"></div>
+                    <div class="room-icon">${room.icon}</div>
+                    <div class="room-info">
+                        <h4>${room.name}</h4>
+                        <p>${room.summary}</p>
+                        <p class="room-volume">${room.area}m² (${room.dimensions.width} × ${room.dimensions.length}m)</p>
+                    </div>
+                `;
+                section.appendChild(item);
+            });
+
+            catalog.appendChild(section);
+        });
+
+        console.log('🏠 Room palette rendered from registry');
+    }
+
     /**
      * Setup drag and drop functionality
      */
@@ -288,6 +319,11 @@ const HabitatEditor = (function() {
         const roomItems = document.querySelectorAll('.room-item');
         roomItems.forEach(item => {
             setupRoomItemDrag(item);
+
+            // Clicking a palette item selects it for the placement heatmap
+            item.addEventListener('click', function() {
+                selectPaletteRoom(this.dataset.roomId);
+            });
         });
 
         // Setup canvas drop zone
@@ -304,7 +340,7 @@ const HabitatEditor = (function() {
     function setupRoomItemDrag(roomItem) {
         roomItem.addEventListener('dragstart', function(e) {
             const roomId = this.dataset.roomId;
-            const roomData = ROOM_CATALOG[roomId];
+            const roomData = getRoomSpec(roomId);
             
             if (!roomData) return;
 
@@ -325,6 +361,7 @@ const HabitatEditor = (function() {
             this.classList.remove('dragging');
             editorState.isDragging = false;
             editorState.dragElement = null;
+            hidePlacementGhost();
         });
     }
 
@@ -336,48 +373,280 @@ const HabitatEditor = (function() {
             e.preventDefault();
             e.dataTransfer.dropEffect = 'copy';
             
-            // Show drop feedback
-            canvas.classList.add('dragging-over');
+            // Show drop feedback with the footprint at the snapped position
+            const canvasRect = canvas.getBoundingClientRect();
+            const isValid = showPlacementGhost(
+                editorState.dragElement,
+                e.clientX - canvasRect.left + canvas.scrollLeft,
+                e.clientY - canvasRect.top + canvas.scrollTop
+            );
+            canvas.classList.toggle('dragging-over', isValid);
+            canvas.classList.toggle('drag-invalid', !isValid);
         });
 
         canvas.addEventListener('dragleave', function(e) {
             // Remove drop feedback
-            canvas.classList.remove('dragging-over');
+            canvas.classList.remove('dragging-over', 'drag-invalid');
+            hidePlacementGhost();
         });
 
         canvas.addEventListener('drop', function(e) {
             e.preventDefault();
-            canvas.classList.remove('dragging-over');
+            canvas.classList.remove('dragging-over', 'drag-invalid');
+            hidePlacementGhost();
 
             const roomId = e.dataTransfer.getData('text/plain');
-            const roomData = ROOM_CATALOG[roomId];
+            const roomData = getRoomSpec(roomId);
             
             if (!roomData) return;
 
             // Calculate drop position relative to canvas
             const canvasRect = canvas.getBoundingClientRect();
-            const x = e.clientX - canvasRect.left;
-            const y = e.clientY - canvasRect.top;
+            const x = e.clientX - canvasRect.left + canvas.scrollLeft;
+            const y = e.clientY - canvasRect.top + canvas.scrollTop;
 
             // Place room at drop position
             placeRoom(roomId, x, y);
         });
     }
 
+    /**
+     * Show the footprint a dragged palette room would occupy, tinted
+     * green (good), yellow (rule warnings) or red (does not fit),
+     * with the placement hints listed next to the cursor
+     * Returns whether the room could be placed there
+     */
+    function showPlacementGhost(roomData, x, y) {
+        const dropZones = document.getElementById('drop-zones');
+        if (!roomData || !dropZones) return true;
+
+        let ghost = dropZones.querySelector('.placement-ghost');
+        if (!ghost) {
+            ghost = document.createElement('div');
+            ghost.className = 'drop-zone placement-ghost';
+            dropZones.appendChild(ghost);
+        }
+
+        const footprint = getRoomFootprint(roomData, 0);
+        const gridX = snapToGrid(x);
+        const gridY = snapToGrid(y);
+
+        // dragover fires continuously; only re-evaluate when the snapped cell changes
+        const previewKey = `${roomData.id}@${gridX},${gridY}`;
+        if (ghost.dataset.previewKey !== previewKey) {
+            const isValid = isValidPlacement(gridX, gridY, footprint.width, footprint.height);
+            const hints = getPlacementHints(roomData, gridX, gridY, footprint);
+
+            ghost.dataset.previewKey = previewKey;
+            ghost.dataset.valid = isValid;
+            ghost.style.left = gridX + 'px';
+            ghost.style.top = gridY + 'px';
+            ghost.style.width = footprint.width + 'px';
+            ghost.style.height = footprint.height + 'px';
+            ghost.classList.toggle('active', isValid && hints.warnings.length === 0);
+            ghost.classList.toggle('warning', isValid && hints.warnings.length > 0);
+            ghost.classList.toggle('invalid', !isValid);
+
+            renderPlacementHints(dropZones, isValid, hints);
+        }
+
+        // The hint list follows the cursor rather than the snapped footprint
+        const hintList = dropZones.querySelector('.placement-hints');
+        if (hintList) {
+            hintList.style.left = (x + 16) + 'px';
+            hintList.style.top = (y + 16) + 'px';
+        }
+
+        return ghost.dataset.valid === 'true';
+    }
+
+    /**
+     * Evaluate a candidate position with RoomsManager.validateRoomPlacement
+     * against rooms on the current level, measuring distances the same way
+     * as layout validation
+     */
+    function getPlacementHints(roomData, x, y, footprint) {
+        const candidate = {
+            id: 'placement-candidate',
+            type: roomData.id,
+            position: { x: (x - MODULE_ORIGIN) / GRID_SCALE, y: (y - MODULE_ORIGIN) / GRID_SCALE },
+            dimensions: { width: footprint.width / GRID_SCALE, length: footprint.height / GRID_SCALE },
+            level: editorState.currentLevel
+        };
+
+        const existingRooms = getLayoutInMetres().filter(room => room.level === editorState.currentLevel);
+        const measureDistance = getDistanceMeasure(existingRooms.concat(candidate));
+
+        const result = RoomsManager.validateRoomPlacement(roomData.id, candidate.position, existingRooms, {
+            distance: otherRoom => measureDistance(candidate, otherRoom)
+        });
+
+        return {
+            warnings: result.warnings || [],
+            suggestions: result.suggestions || []
+        };
+    }
+
+    /**
+     * List placement warnings and suggestions in the hint box
+     */
+    function renderPlacementHints(dropZones, isValid, hints) {
+        let hintList = dropZones.querySelector('.placement-hints');
+        if (!hintList) {
+            hintList = document.createElement('ul');
+            hintList.className = 'placement-hints';
+            dropZones.appendChild(hintList);
+        }
+
+        const items = [];
+        if (!isValid) {
+            items.push({ type: 'error', text: 'Does not fit here: outside the module or overlapping a room' });
+        }
+        hints.warnings.forEach(text => items.push({ type: 'warning', text: text }));
+        hints.suggestions.forEach(text => items.push({ type: 'suggestion', text: text }));
+        if (items.length === 0) {
+            items.push({ type: 'ok', text: 'Good position' });
+        }
+
+        hintList.innerHTML = '';
+        items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.className = `placement-hint ${item.type}`;
+            entry.textContent = item.text;
+            hintList.appendChild(entry);
+        });
+    }
+
+    /**
+     * Remove the placement footprint preview and its hints
+     */
+    function hidePlacementGhost() {
+        document.querySelectorAll('#drop-zones .placement-ghost, #drop-zones .placement-hints')
+            .forEach(element => element.remove());
+    }
+
+    /**
+     * Select or deselect a palette room for the placement heatmap
+     */
+    function selectPaletteRoom(roomId) {
+        editorState.selectedRoomType = editorState.selectedRoomType === roomId ? null : roomId;
+
+        document.querySelectorAll('.room-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.roomId === editorState.selectedRoomType);
+        });
+
+        renderHeatmap();
+    }
+
+    /**
+     * Paint a score heatmap of every feasible position for the selected
+     * palette room on the current level, and mark the best positions
+     */
+    function renderHeatmap() {
+        const overlay = document.getElementById('heatmap-overlay');
+        if (!overlay) return;
+
+        overlay.innerHTML = '';
+
+        const roomData = editorState.selectedRoomType && getRoomSpec(editorState.selectedRoomType);
+        if (!editorState.showHeatmap || !roomData) return;
+
+        const startTime = performance.now();
+
+        const existingRooms = getLayoutInMetres()
+            .filter(room => room.level === editorState.currentLevel)
+            .map(room => ({ type: room.type, position: room.position, dimensions: room.dimensions }));
+
+        // Hundreds of positions are scored, so the heatmap keeps straight-line distances
+        const grid = RoomsManager.scorePlacementGrid(roomData.id, existingRooms, editorState.moduleDimensions, {
+            gridSize: HEATMAP_GRID_SIZE,
+            isFeasible: (x, y, width, length) =>
+                !editorState.floorPlan || StructurePage.containsFootprint(editorState.floorPlan, x, y, width, length)
+        });
+
+        // One canvas for all cells keeps large modules interactive
+        const heatLayer = document.createElement('canvas');
+        heatLayer.className = 'heatmap-layer';
+        heatLayer.width = editorState.moduleDimensions.width * GRID_SCALE;
+        heatLayer.height = editorState.moduleDimensions.length * GRID_SCALE;
+        heatLayer.style.left = MODULE_ORIGIN + 'px';
+        heatLayer.style.top = MODULE_ORIGIN + 'px';
+        overlay.appendChild(heatLayer);
+
+        const context = heatLayer.getContext && heatLayer.getContext('2d');
+        if (context) {
+            const cellSize = grid.gridSize * GRID_SCALE;
+            const scoreRange = grid.maxScore - grid.minScore;
+
+            // Each cell is painted at the centre of the footprint it scores, red (worst) to green (best)
+            grid.cells.forEach(cell => {
+                const t = scoreRange > 0 ? (cell.score - grid.minScore) / scoreRange : 1;
+                context.fillStyle = `hsla(${Math.round(t * 120)}, 80%, 50%, 0.45)`;
+                context.fillRect(
+                    (cell.position.x + grid.footprint.width / 2) * GRID_SCALE - cellSize / 2,
+                    (cell.position.y + grid.footprint.length / 2) * GRID_SCALE - cellSize / 2,
+                    cellSize,
+                    cellSize
+                );
+            });
+        }
+
+        // Outline the best positions
+        grid.recommendations.forEach((recommendation, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'heatmap-best';
+            marker.style.left = (MODULE_ORIGIN + recommendation.position.x * GRID_SCALE) + 'px';
+            marker.style.top = (MODULE_ORIGIN + recommendation.position.y * GRID_SCALE) + 'px';
+            marker.style.width = (grid.footprint.width * GRID_SCALE) + 'px';
+            marker.style.height = (grid.footprint.length * GRID_SCALE) + 'px';
+            marker.textContent = `#${index + 1}`;
+            marker.title = recommendation.reasons.join('\n');
+            overlay.appendChild(marker);
+        });
+
+        // List the best positions with their reasons
+        const legend = document.createElement('ol');
+        legend.className = 'heatmap-legend';
+
+        const heading = document.createElement('li');
+        heading.className = 'heatmap-legend-title';
+        heading.textContent = `Best positions for ${roomData.name}`;
+        legend.appendChild(heading);
+
+        if (grid.recommendations.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = grid.cells.length === 0
+                ? 'No free space for this room on this level'
+                : 'No position earns adjacency points yet';
+            legend.appendChild(empty);
+        }
+
+        grid.recommendations.forEach((recommendation, index) => {
+            const entry = document.createElement('li');
+            entry.textContent = `#${index + 1} at (${recommendation.position.x}, ${recommendation.position.y}) m, ` +
+                `+${recommendation.score}: ${recommendation.reasons.join('; ')}`;
+            legend.appendChild(entry);
+        });
+        overlay.appendChild(legend);
+
+        console.log(`🔥 Heatmap for ${roomData.name}: ${grid.cells.length} positions in ${Math.round(performance.now() - startTime)}ms`);
+    }
+
     /**
      * Place a room on the canvas at specified coordinates
      */
     function placeRoom(roomId, x, y) {
-        const roomData = ROOM_CATALOG[roomId];
+        const roomData = getRoomSpec(roomId);
         if (!roomData) return;
 
         // Snap to grid
-        const gridX = Math.round(x / GRID_SCALE) * GRID_SCALE;
-        const gridY = Math.round(y / GRID_SCALE) * GRID_SCALE;
+        const gridX = snapToGrid(x);
+        const gridY = snapToGrid(y);
 
         // Calculate room size in pixels
-        const roomWidth = roomData.dimensions.width * GRID_SCALE;
-        const roomHeight = roomData.dimensions.length * GRID_SCALE;
+        const footprint = getRoomFootprint(roomData, 0);
+        const roomWidth = footprint.width;
+        const roomHeight = footprint.height;
 
         // Check if position is valid
         if (!isValidPlacement(gridX, gridY, roomWidth, roomHeight)) {
@@ -390,6 +659,7 @@ const HabitatEditor = (function() {
 
         // Create room element
         const roomElement = createRoomElement(roomInstanceId, roomData, gridX, gridY, roomWidth, roomHeight);
+        setRoomElementLevel(roomElement, editorState.currentLevel);
         
         // Add to canvas
         const placedRoomsContainer = document.getElementById('placed-rooms');
@@ -404,6 +674,8 @@ const HabitatEditor = (function() {
             roomData: roomData,
             position: { x: gridX, y: gridY },
             dimensions: { width: roomWidth, height: roomHeight },
+            orientation: 0,
+            level: editorState.currentLevel,
             element: roomElement
         });
 
@@ -416,21 +688,125 @@ const HabitatEditor = (function() {
     }
 
     /**
-     * Check if room placement is valid
+     * Get a room's footprint in pixels for an orientation (0 or 90 degrees)
      */
-    function isValidPlacement(x, y, width, height) {
-        // Get canvas bounds
-        const canvas = editorState.canvas;
-        if (!canvas) return false;
+    function getRoomFootprint(roomData, orientation) {
+        const width = roomData.dimensions.width * GRID_SCALE;
+        const height = roomData.dimensions.length * GRID_SCALE;
 
-        const canvasRect = canvas.getBoundingClientRect();
-        
-        // Check bounds
-        if (x < 0 || y < 0) return false;
-        if (x + width > canvasRect.width || y + height > canvasRect.height) return false;
+        return orientation === 90 ? { width: height, height: width } : { width, height };
+    }
+
+    /**
+     * Snap a pixel coordinate to the placement grid
+     */
+    function snapToGrid(value) {
+        return Math.round(value / GRID_SCALE) * GRID_SCALE;
+    }
+
+    /**
+     * Move a placed room to new canvas coordinates
+     */
+    function moveRoom(instanceId, x, y) {
+        const roomInstance = editorState.placedRooms.get(instanceId);
+        if (!roomInstance) return false;
+
+        const gridX = snapToGrid(x);
+        const gridY = snapToGrid(y);
+        const { width, height } = roomInstance.dimensions;
+
+        if (!isValidPlacement(gridX, gridY, width, height, instanceId)) {
+            console.warn('❌ Invalid room move');
+            return false;
+        }
+
+        roomInstance.position = { x: gridX, y: gridY };
+        applyRoomGeometry(roomInstance);
+
+        // Update displays and validation
+        updateCanvasInfo();
+        validateCurrentLayout();
+        saveRoomLayout();
+
+        console.log('↔️ Room moved:', roomInstance.roomData.name, 'to', gridX, gridY);
+        return true;
+    }
+
+    /**
+     * Rotate a placed room by 90 degrees about its centre
+     */
+    function rotateRoom(instanceId) {
+        const roomInstance = editorState.placedRooms.get(instanceId);
+        if (!roomInstance) return false;
+
+        const orientation = roomInstance.orientation === 90 ? 0 : 90;
+        const footprint = getRoomFootprint(roomInstance.roomData, orientation);
+
+        // Keep the room centred on the same spot
+        const centerX = roomInstance.position.x + roomInstance.dimensions.width / 2;
+        const centerY = roomInstance.position.y + roomInstance.dimensions.height / 2;
+        const gridX = snapToGrid(centerX - footprint.width / 2);
+        const gridY = snapToGrid(centerY - footprint.height / 2);
+
+        if (!isValidPlacement(gridX, gridY, footprint.width, footprint.height, instanceId)) {
+            console.warn('❌ Not enough space to rotate room');
+            return false;
+        }
+
+        roomInstance.orientation = orientation;
+        roomInstance.position = { x: gridX, y: gridY };
+        roomInstance.dimensions = footprint;
+        applyRoomGeometry(roomInstance);
+
+        // Update displays and validation
+        updateCanvasInfo();
+        validateCurrentLayout();
+        saveRoomLayout();
+
+        console.log('🔄 Room rotated:', roomInstance.roomData.name, 'to', orientation + '°');
+        return true;
+    }
+
+    /**
+     * Sync a room element with its instance position, footprint and orientation
+     */
+    function applyRoomGeometry(roomInstance) {
+        const element = roomInstance.element;
+        element.style.left = roomInstance.position.x + 'px';
+        element.style.top = roomInstance.position.y + 'px';
+        element.style.width = roomInstance.dimensions.width + 'px';
+        element.style.height = roomInstance.dimensions.height + 'px';
+        element.dataset.orientation = roomInstance.orientation;
+    }
+
+    /**
+     * Check if room placement is valid on a level, the current one by default
+     * ignoreInstanceId excludes the room being moved from overlap checks
+     */
+    function isValidPlacement(x, y, width, height, ignoreInstanceId, level = editorState.currentLevel) {
+        if (!editorState.canvas) return false;
+
+        // Check bounds against the module outline
+        const bounds = getModuleBounds();
+        if (x < bounds.left || y < bounds.top) return false;
+        if (x + width > bounds.right || y + height > bounds.bottom) return false;
+
+        // Check the footprint lies on the usable floor of the structure shape
+        if (editorState.floorPlan && !StructurePage.containsFootprint(
+            editorState.floorPlan,
+            (x - MODULE_ORIGIN) / GRID_SCALE,
+            (y - MODULE_ORIGIN) / GRID_SCALE,
+            width / GRID_SCALE,
+            height / GRID_SCALE
+        )) {
+            return false;
+        }
 
         // Check for overlaps with existing rooms
         for (const [instanceId, roomInstance] of editorState.placedRooms) {
+            if (instanceId === ignoreInstanceId) continue;
+            if (roomInstance.level !== level) continue;
+
             if (isOverlapping(
                 x, y, width, height,
                 roomInstance.position.x, roomInstance.position.y,
@@ -443,6 +819,18 @@ const HabitatEditor = (function() {
         return true;
     }
 
+    /**
+     * Get the module outline rectangle in canvas pixels
+     */
+    function getModuleBounds() {
+        return {
+            left: MODULE_ORIGIN,
+            top: MODULE_ORIGIN,
+            right: MODULE_ORIGIN + editorState.moduleDimensions.width * GRID_SCALE,
+            bottom: MODULE_ORIGIN + editorState.moduleDimensions.length * GRID_SCALE
+        };
+    }
+
     /**
      * Check if two rectangles overlap
      */
@@ -456,6 +844,7 @@ const HabitatEditor = (function() {
     function createRoomElement(instanceId, roomData, x, y, width, height) {
         const roomElement = document.createElement('div');
         roomElement.className = 'placed-room';
+        roomElement.tabIndex = 0;
         roomElement.dataset.roomId = instanceId;
         roomElement.dataset.roomType = roomData.id;
         
@@ -481,9 +870,91 @@ const HabitatEditor = (function() {
             showRoomContextMenu(e, instanceId);
         });
 
+        // Drag to reposition and arrow keys to nudge
+        setupPlacedRoomInteraction(roomElement, instanceId);
+
         return roomElement;
     }
 
+    /**
+     * Setup repositioning of a placed room by mouse drag, arrow keys and R to rotate
+     */
+    function setupPlacedRoomInteraction(roomElement, instanceId) {
+        roomElement.addEventListener('mousedown', function(e) {
+            if (e.button !== 0) return;
+
+            const roomInstance = editorState.placedRooms.get(instanceId);
+            if (!roomInstance) return;
+
+            e.preventDefault();
+            roomElement.focus();
+
+            const start = {
+                mouseX: e.clientX,
+                mouseY: e.clientY,
+                x: roomInstance.position.x,
+                y: roomInstance.position.y
+            };
+            let target = { x: start.x, y: start.y };
+
+            function onMouseMove(moveEvent) {
+                target = {
+                    x: snapToGrid(start.x + moveEvent.clientX - start.mouseX),
+                    y: snapToGrid(start.y + moveEvent.clientY - start.mouseY)
+                };
+
+                // Preview the snapped position with overlap feedback
+                const { width, height } = roomInstance.dimensions;
+                roomElement.classList.add('dragging');
+                roomElement.classList.toggle('invalid-position',
+                    !isValidPlacement(target.x, target.y, width, height, instanceId));
+                roomElement.style.left = target.x + 'px';
+                roomElement.style.top = target.y + 'px';
+            }
+
+            function onMouseUp() {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                roomElement.classList.remove('dragging', 'invalid-position');
+
+                if (target.x === start.x && target.y === start.y) return;
+
+                // Snap back if the new position is rejected
+                if (!moveRoom(instanceId, target.x, target.y)) {
+                    roomElement.style.left = start.x + 'px';
+                    roomElement.style.top = start.y + 'px';
+                }
+            }
+
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+
+        roomElement.addEventListener('keydown', function(e) {
+            if ((e.key === 'r' || e.key === 'R') && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                rotateRoom(instanceId);
+                return;
+            }
+
+            const nudges = {
+                ArrowLeft: { x: -GRID_SCALE, y: 0 },
+                ArrowRight: { x: GRID_SCALE, y: 0 },
+                ArrowUp: { x: 0, y: -GRID_SCALE },
+                ArrowDown: { x: 0, y: GRID_SCALE }
+            };
+            const nudge = nudges[e.key];
+            if (!nudge) return;
+
+            e.preventDefault();
+
+            const roomInstance = editorState.placedRooms.get(instanceId);
+            if (roomInstance) {
+                moveRoom(instanceId, roomInstance.position.x + nudge.x, roomInstance.position.y + nudge.y);
+            }
+        });
+    }
+
     /**
      * Remove a room from the canvas
      */
@@ -520,13 +991,36 @@ const HabitatEditor = (function() {
      * Validate current room layout against NASA standards
      */
     function validateCurrentLayout() {
+        const measureDistance = getDistanceMeasure(getLayoutInMetres());
+
         const validation = {
             volumeCompliance: checkVolumeCompliance(),
             essentialRooms: checkEssentialRooms(),
             noiseSeparation: checkNoiseSeparation(),
-            adjacencyRules: checkAdjacencyRules()
+            adjacencyRules: checkAdjacencyRules(),
+            zoning: checkZoning()
         };
 
+        // Lunar and Mars rule packs need the mission destination
+        if (editorState.missionConfig) {
+            validation.destination = checkDestinationRules();
+            validation.power = checkPowerBudget();
+            validation.thermal = checkThermalControl();
+            validation.schedule = checkCrewSchedule();
+
+            // Dose and storm shelter checks share one shielding analysis
+            editorState.shieldingAnalysis = analyzeShielding(measureDistance);
+            validation.radiationDose = checkRadiationDose();
+            validation.stormShelter = checkStormShelter();
+        }
+
+        // Vertical connections only matter once there is more than one level
+        if (editorState.levelCount > 1) {
+            validation.verticalConnections = checkVerticalConnections();
+        }
+
+        validation.egress = checkEgress();
+
         // Calculate overall compliance score
         const checks = Object.values(validation);
         const passedChecks = checks.filter(check => check.status === 'pass').length;
@@ -535,13 +1029,114 @@ const HabitatEditor = (function() {
         editorState.validationResults = validation;
         editorState.complianceScore = score;
 
+        // Run the scoring engine on the same layout
+        updateHabitatScore(measureDistance);
+
         // Update UI
         updateValidationDisplay();
         updateNavigationState();
+        renderHeatmap();
+        renderNoiseMap();
+        renderZones();
+        renderEgressPaths();
+        renderShielding();
+        renderConsumables();
+        renderPowerBudget();
+        renderThermal();
+        renderSchedule();
 
         return validation;
     }
 
+    /**
+     * Convert placed rooms to the metre-based format used by the
+     * validation and scoring engines, relative to the module outline
+     */
+    function getLayoutInMetres() {
+        return Array.from(editorState.placedRooms.values()).map(room => ({
+            id: room.id,
+            type: room.roomType,
+            position: {
+                x: (room.position.x - MODULE_ORIGIN) / GRID_SCALE,
+                y: (room.position.y - MODULE_ORIGIN) / GRID_SCALE
+            },
+            dimensions: {
+                width: room.dimensions.width / GRID_SCALE,
+                length: room.dimensions.height / GRID_SCALE
+            },
+            orientation: room.orientation,
+            level: room.level
+        }));
+    }
+
+    /**
+     * Score the current layout with ScoringSystem
+     * @param {Function} measureDistance - Distance between two rooms (m)
+     */
+    function updateHabitatScore(measureDistance) {
+        const config = editorState.missionConfig;
+        if (!config || typeof ScoringSystem === 'undefined') return null;
+
+        editorState.habitatScore = ScoringSystem.calculateTotalScore(
+            getLayoutInMetres(),
+            config,
+            editorState.moduleDimensions,
+            measureDistance
+        );
+
+        updateHabitatScoreDisplay();
+        return editorState.habitatScore;
+    }
+
+    /**
+     * Update the habitat score breakdown panel
+     */
+    function updateHabitatScoreDisplay() {
+        const result = editorState.habitatScore;
+        if (!result) return;
+
+        updateElement('habitat-score-grade', result.grade);
+        updateElement('habitat-score-percent', result.percentage + '%');
+
+        const gradeElement = document.getElementById('habitat-score-grade');
+        if (gradeElement) {
+            gradeElement.className = `habitat-score-grade grade-${result.grade.toLowerCase()}`;
+        }
+
+        // Four category breakdown
+        const breakdown = document.getElementById('score-breakdown');
+        if (breakdown) {
+            const categories = ScoringSystem.getScoringCategories();
+            breakdown.innerHTML = Object.entries(result.categories).map(([key, category]) => `
+                <div class="score-category" title="${categories[key].description}">
+                    <div class="score-category-header">
+                        <span>${categories[key].name}</span>
+                        <span>${category.percentage}%</span>
+                    </div>
+                    <div class="score-bar">
+                        <div class="score-progress" style="width: ${Math.max(0, Math.min(100, category.percentage))}%"></div>
+                    </div>
+                    <div class="score-category-weight">${category.weighted.toFixed(1)} / ${categories[key].weight} pts</div>
+                </div>
+            `).join('');
+        }
+
+        // Recommendations from the scoring engine
+        const recommendations = document.getElementById('score-recommendations');
+        if (recommendations) {
+            if (result.recommendations.length === 0) {
+                recommendations.innerHTML = '<li class="recommendation priority-none">✅ No improvements needed</li>';
+            } else {
+                recommendations.innerHTML = result.recommendations.map(rec => `
+                    <li class="recommendation priority-${rec.priority}">
+                        <strong>${rec.category}:</strong> ${rec.message}
+                        <ul>${rec.actions.map(action => `<li>${action}</li>`).join('')}</ul>
+                    </li>
+                `).join('');
+            }
+        }
+    }
+
     /**
      * Check volume compliance
      */
@@ -577,7 +1172,7 @@ const HabitatEditor = (function() {
      * Check essential rooms are present
      */
     function checkEssentialRooms() {
-        const essentialRooms = ['airlock', 'life-support', 'sleeping', 'kitchen', 'hygiene', 'medical'];
+        const essentialRooms = RoomsManager.getRoomsByCategory('essential').map(room => room.id);
         const placedRoomTypes = new Set();
 
         // Count placed essential rooms
@@ -598,49 +1193,105 @@ const HabitatEditor = (function() {
     }
 
     /**
-     * Check noise separation rules
+     * Check the noise each room receives against its NASA limit
+     * using the AcousticModel propagation estimate
      */
     function checkNoiseSeparation() {
-        const noisyRooms = ['gym', 'maintenance'];
-        const quietRooms = ['sleeping'];
+        editorState.noiseAnalysis = AcousticModel.analyzeNoise({
+            rooms: getLayoutInMetres(),
+            levelHeight: LEVEL_HEIGHT
+        });
 
-        const noisyRoomInstances = [];
-        const quietRoomInstances = [];
+        const issues = editorState.noiseAnalysis.rooms
+            .filter(room => room.status === 'fail')
+            .map(room => `${getRoomSpec(room.type).name}: ${Math.round(room.receivedDb)} dB > ${room.limitDb} dB` +
+                ` (mostly ${getRoomSpec(room.loudestSource).name})`);
 
-        // Categorize placed rooms
-        for (const [instanceId, roomInstance] of editorState.placedRooms) {
-            if (noisyRooms.includes(roomInstance.roomType)) {
-                noisyRoomInstances.push(roomInstance);
-            } else if (quietRooms.includes(roomInstance.roomType)) {
-                quietRoomInstances.push(roomInstance);
-            }
-        }
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            issues: issues,
+            message: issues.length === 0
+                ? 'Noise separation compliant'
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : '')
+        };
+    }
 
-        // Check separation (minimum distance)
-        let hasViolation = false;
-        const minimumSeparation = 2 * GRID_SCALE; // 2 meters
-
-        for (const noisyRoom of noisyRoomInstances) {
-            for (const quietRoom of quietRoomInstances) {
-                const distance = calculateDistance(
-                    noisyRoom.position.x + noisyRoom.dimensions.width / 2,
-                    noisyRoom.position.y + noisyRoom.dimensions.height / 2,
-                    quietRoom.position.x + quietRoom.dimensions.width / 2,
-                    quietRoom.position.y + quietRoom.dimensions.height / 2
-                );
+    /**
+     * Paint the estimated noise level across the current level and label
+     * each room with the level it receives
+     */
+    function renderNoiseMap() {
+        const overlay = document.getElementById('noise-overlay');
+        if (!overlay) return;
+
+        overlay.innerHTML = '';
+        if (!editorState.showNoiseMap) return;
+
+        const layout = getLayoutInMetres();
+        const plan = editorState.floorPlan;
+        const grid = AcousticModel.createNoiseGrid({
+            rooms: layout,
+            level: editorState.currentLevel,
+            width: editorState.moduleDimensions.width,
+            length: editorState.moduleDimensions.length,
+            gridSize: NOISE_GRID_SIZE,
+            levelHeight: LEVEL_HEIGHT,
+            isFeasible: (x, y) => !plan ||
+                StructurePage.containsFootprint(plan, x - NOISE_GRID_SIZE / 2, y - NOISE_GRID_SIZE / 2, NOISE_GRID_SIZE, NOISE_GRID_SIZE)
+        });
 
-                if (distance < minimumSeparation) {
-                    hasViolation = true;
-                    break;
-                }
-            }
-            if (hasViolation) break;
+        const noiseLayer = document.createElement('canvas');
+        noiseLayer.className = 'heatmap-layer';
+        noiseLayer.width = editorState.moduleDimensions.width * GRID_SCALE;
+        noiseLayer.height = editorState.moduleDimensions.length * GRID_SCALE;
+        noiseLayer.style.left = MODULE_ORIGIN + 'px';
+        noiseLayer.style.top = MODULE_ORIGIN + 'px';
+        overlay.appendChild(noiseLayer);
+
+        const context = noiseLayer.getContext && noiseLayer.getContext('2d');
+        if (context) {
+            const cellSize = NOISE_GRID_SIZE * GRID_SCALE;
+            const limits = NASA_STANDARDS.ENVIRONMENTAL.noise;
+
+            // Green at the sleeping limit through to red at the exercise limit and above
+            grid.cells.forEach(cell => {
+                const t = Math.max(0, Math.min(1, (cell.db - limits.sleepingDb) / (limits.exerciseDb - limits.sleepingDb)));
+                context.fillStyle = `hsla(${Math.round((1 - t) * 120)}, 80%, 50%, 0.4)`;
+                context.fillRect(cell.x * GRID_SCALE - cellSize / 2, cell.y * GRID_SCALE - cellSize / 2, cellSize, cellSize);
+            });
         }
 
-        return {
-            status: hasViolation ? 'fail' : 'pass',
-            message: hasViolation ? 'Noisy rooms too close to sleeping areas' : 'Noise separation compliant'
-        };
+        // Received level in each room on this level
+        const analysis = editorState.noiseAnalysis;
+        layout.filter(room => room.level === editorState.currentLevel).forEach(room => {
+            const result = analysis && analysis.rooms.find(item => item.id === room.id);
+            if (!result) return;
+
+            const label = document.createElement('div');
+            label.className = `noise-label ${result.status}`;
+            label.style.left = (MODULE_ORIGIN + (room.position.x + room.dimensions.width / 2) * GRID_SCALE) + 'px';
+            label.style.top = (MODULE_ORIGIN + (room.position.y + room.dimensions.length / 2) * GRID_SCALE) + 'px';
+            label.textContent = `${Math.round(result.receivedDb)} dB`;
+            label.title = `Limit ${result.limitDb} dB` +
+                (result.loudestSource ? `, loudest source: ${getRoomSpec(result.loudestSource).name}` : '');
+            overlay.appendChild(label);
+        });
+
+        const legend = document.createElement('ul');
+        legend.className = 'heatmap-legend noise-legend';
+        [
+            'Estimated noise level',
+            `Limits: sleeping ${NASA_STANDARDS.ENVIRONMENTAL.noise.sleepingDb} dB, ` +
+                `working ${NASA_STANDARDS.ENVIRONMENTAL.noise.workingDb} dB, ` +
+                `exercise ${NASA_STANDARDS.ENVIRONMENTAL.noise.exerciseDb} dB`,
+            grid.cells.length > 0 ? `Loudest point on this level: ${Math.round(grid.maxDb)} dB` : 'No floor on this level'
+        ].forEach((text, index) => {
+            const entry = document.createElement('li');
+            if (index === 0) entry.className = 'heatmap-legend-title';
+            entry.textContent = text;
+            legend.appendChild(entry);
+        });
+        overlay.appendChild(legend);
     }
 
     /**
@@ -652,7 +1303,7 @@ const HabitatEditor = (function() {
 
         // Find kitchen and hygiene rooms
         for (const [instanceId, roomInstance] of editorState.placedRooms) {
-            if (roomInstance.roomType === 'kitchen') {
+            if (roomInstance.roomType === 'galley') {
                 kitchenInstances.push(roomInstance);
             } else if (roomInstance.roomType === 'hygiene') {
                 bathroomInstances.push(roomInstance);
@@ -679,11 +1330,595 @@ const HabitatEditor = (function() {
     }
 
     /**
-     * Calculate distance between two points
+     * Check that stairs, ladders and hatches line up between levels
      */
-    function calculateDistance(x1, y1, x2, y2) {
-        return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-    }
+    function checkVerticalConnections() {
+        const connectors = Array.from(editorState.placedRooms.values())
+            .filter(room => room.roomData.verticalConnector);
+        const issues = [];
+
+        // A matching connector has the same type and footprint on the other level
+        const isAligned = (a, b) =>
+            a.roomType === b.roomType &&
+            a.position.x === b.position.x && a.position.y === b.position.y &&
+            a.dimensions.width === b.dimensions.width && a.dimensions.height === b.dimensions.height;
+
+        const hasMatch = (connector, level) =>
+            connectors.some(other => other.level === level && isAligned(connector, other));
+
+        // Every pair of neighbouring levels needs at least one aligned connector
+        for (let level = 0; level < editorState.levelCount - 1; level++) {
+            const linked = connectors.some(connector =>
+                connector.level === level && hasMatch(connector, level + 1));
+            if (!linked) {
+                issues.push(`No connection between level ${level + 1} and level ${level + 2}`);
+            }
+        }
+
+        // Every connector must lead to a matching one above or below
+        connectors.forEach(connector => {
+            if (!hasMatch(connector, connector.level - 1) && !hasMatch(connector, connector.level + 1)) {
+                issues.push(`${connector.roomData.name} on level ${connector.level + 1} is not aligned with another level`);
+            }
+        });
+
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            issues: issues,
+            message: issues.length === 0
+                ? `${editorState.levelCount} levels connected`
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : '')
+        };
+    }
+
+    /**
+     * Check zones form single blocks and incompatible zones do not share
+     * a wall (see ZoningModel)
+     */
+    function checkZoning() {
+        editorState.zoneAnalysis = ZoningModel.analyzeZones({ rooms: getLayoutInMetres() });
+
+        return {
+            status: editorState.zoneAnalysis.status,
+            issues: editorState.zoneAnalysis.issues,
+            message: editorState.placedRooms.size === 0 ? 'No rooms placed' : editorState.zoneAnalysis.message
+        };
+    }
+
+    /**
+     * Check the rules of the mission destination: dust locks and
+     * storage for the resupply interval (see DestinationRules)
+     */
+    function checkDestinationRules() {
+        const result = DestinationRules.checkRules({
+            rooms: getLayoutInMetres(),
+            missionConfig: editorState.missionConfig
+        });
+
+        return {
+            status: result.status,
+            issues: result.issues,
+            packName: result.pack ? result.pack.name : null,
+            message: result.message
+        };
+    }
+
+    /**
+     * Show the consumables to store and the resupply cycle; the storage
+     * check itself is a destination rule (see DestinationRules)
+     */
+    function renderConsumables() {
+        if (!editorState.missionConfig) return;
+
+        const plan = ConsumablesPlanner.planConsumables(editorState.missionConfig);
+        editorState.consumablesPlan = plan;
+
+        updateElement('consumables-summary', plan.resupplies > 0
+            ? `Resupply every ${plan.resupplyInterval} days (${plan.resupplies}×), ${Math.round(plan.missionMass)} kg over the mission`
+            : `No resupply during the mission, ${Math.round(plan.missionMass)} kg launched`);
+
+        const items = document.getElementById('consumables-items');
+        if (!items) return;
+
+        items.innerHTML = plan.items.map(item => `
+            <tr>
+                <td>${item.name}</td>
+                <td>${item.mass === null ? '—' : Math.round(item.mass) + ' kg'}</td>
+                <td>${item.volume.toFixed(1)} m³</td>
+            </tr>
+        `).join('') + `
+            <tr class="consumables-total">
+                <td>Total</td>
+                <td>${Math.round(plan.totalMass)} kg</td>
+                <td>${plan.totalVolume.toFixed(1)} m³</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Chosen power generation: the user's changes over the generation
+     * sized to the NASA allowance for the crew
+     */
+    function getPowerGeneration() {
+        return { ...PowerBudget.getDefaultGeneration(editorState.missionConfig), ...editorState.power };
+    }
+
+    /**
+     * Check generation and batteries carry the habitat through the
+     * worst-case night (see PowerBudget)
+     */
+    function checkPowerBudget() {
+        editorState.powerAnalysis = PowerBudget.analyzePower({
+            rooms: getLayoutInMetres(),
+            missionConfig: editorState.missionConfig,
+            generation: getPowerGeneration()
+        });
+
+        return {
+            status: editorState.powerAnalysis.status,
+            issues: editorState.powerAnalysis.issues,
+            message: editorState.powerAnalysis.message
+        };
+    }
+
+    /**
+     * Wire the generation inputs of the power budget panel
+     */
+    function setupPowerControls() {
+        if (!editorState.missionConfig) return;
+
+        const generation = getPowerGeneration();
+        ['solarArea', 'fission', 'battery'].forEach(source => {
+            const input = document.getElementById(`power-${source}`);
+            if (!input || input.hasAttribute('data-initialized')) return;
+
+            input.value = generation[source];
+            input.addEventListener('change', function() {
+                editorState.power[source] = Math.max(0, parseFloat(this.value) || 0);
+                this.value = editorState.power[source];
+                saveRoomLayout();
+                validateCurrentLayout();
+            });
+            input.setAttribute('data-initialized', 'true');
+        });
+    }
+
+    /**
+     * Show the chosen generation in the power budget panel inputs
+     */
+    function updatePowerInputs() {
+        const generation = getPowerGeneration();
+        ['solarArea', 'fission', 'battery'].forEach(source => {
+            const input = document.getElementById(`power-${source}`);
+            if (input) input.value = generation[source];
+        });
+    }
+
+    /**
+     * Show loads, generation and the worst-case night
+     */
+    function renderPowerBudget() {
+        const analysis = editorState.powerAnalysis;
+        const summary = document.getElementById('power-summary');
+        if (!analysis || !summary) return;
+
+        const rows = [
+            ['Load', `${analysis.loads.nominal.toFixed(1)} kW nominal, ${analysis.loads.peak.toFixed(1)} kW peak`],
+            ['NASA allowance', `${analysis.allowance.toFixed(1)} kW`],
+            ['Solar', `${analysis.solar.noon.toFixed(1)} kW at noon, ${analysis.solar.worstDay.toFixed(1)} kW worst day`],
+            [`${analysis.worstCase.name} (${analysis.worstCase.hours} h)`, `${Math.ceil(analysis.worstCase.batteryNeeded)} kWh from batteries`]
+        ];
+
+        summary.innerHTML = rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+    }
+
+    /**
+     * Check the life support rooms can reject the hottest-day heat load
+     * (see ThermalModel)
+     */
+    function checkThermalControl() {
+        editorState.thermalAnalysis = ThermalModel.analyzeThermal({
+            rooms: getLayoutInMetres(),
+            missionConfig: editorState.missionConfig,
+            floorPlan: editorState.floorPlan,
+            levelCount: editorState.levelCount,
+            levelHeight: LEVEL_HEIGHT
+        });
+
+        return {
+            status: editorState.thermalAnalysis.status,
+            issues: editorState.thermalAnalysis.issues,
+            message: editorState.thermalAnalysis.message
+        };
+    }
+
+    /**
+     * Show the heat balance, radiator and heater sizing, and heat per room
+     */
+    function renderThermal() {
+        const analysis = editorState.thermalAnalysis;
+        if (!analysis) return;
+
+        const summary = document.getElementById('thermal-summary');
+        if (summary) {
+            const rows = [
+                ['Crew and equipment', `${analysis.internal.toFixed(1)} kW`],
+                [`Hull (${Math.round(analysis.hullArea)} m²)`,
+                    `+${analysis.hot.hullGain.toFixed(1)} kW day, −${analysis.cold.hullLoss.toFixed(1)} kW night`],
+                ['Radiators', `${Math.ceil(analysis.radiatorArea)} m² for ${analysis.hot.heatLoad.toFixed(1)} kW`],
+                ['Heaters', `${analysis.cold.heaterPower.toFixed(1)} kW`]
+            ];
+            summary.innerHTML = rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+        }
+
+        const list = document.getElementById('thermal-rooms');
+        if (!list) return;
+
+        list.innerHTML = analysis.rooms
+            .filter(room => room.level === editorState.currentLevel)
+            .map(room => `
+                <li class="shielding-room">
+                    <span>${getRoomSpec(room.type).name}</span>
+                    <span>${(room.total * 1000).toFixed(0)} W</span>
+                </li>
+            `).join('');
+    }
+
+    /**
+     * Simulate the crew's day in the placed rooms and check no room is a
+     * bottleneck (see ScheduleSimulator)
+     */
+    function checkCrewSchedule() {
+        editorState.scheduleSimulation = ScheduleSimulator.simulateDay({
+            rooms: getLayoutInMetres(),
+            missionConfig: editorState.missionConfig
+        });
+
+        return {
+            status: editorState.scheduleSimulation.status,
+            issues: editorState.scheduleSimulation.issues,
+            message: editorState.placedRooms.size === 0 ? 'No rooms placed' : editorState.scheduleSimulation.message
+        };
+    }
+
+    /**
+     * Show room utilisation and activity waits, and mark bottleneck rooms
+     */
+    function renderSchedule() {
+        const simulation = editorState.scheduleSimulation;
+        const bottlenecks = new Set(simulation
+            ? simulation.roomTypes.filter(item => item.bottleneck).map(item => item.type)
+            : []);
+
+        for (const roomInstance of editorState.placedRooms.values()) {
+            roomInstance.element.classList.toggle('bottleneck-room', bottlenecks.has(roomInstance.roomType));
+        }
+
+        if (!simulation) return;
+
+        const utilisation = document.getElementById('schedule-rooms');
+        if (utilisation) {
+            utilisation.innerHTML = simulation.roomTypes.map(item => {
+                const percentage = Math.round(item.utilisation * 100);
+                return `
+                    <div class="score-category${item.bottleneck ? ' bottleneck' : ''}">
+                        <div class="score-category-header">
+                            <span>${getRoomSpec(item.type).name} × ${item.rooms}</span>
+                            <span>${percentage}%</span>
+                        </div>
+                        <div class="score-bar">
+                            <div class="score-progress" style="width: ${percentage}%"></div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const waits = document.getElementById('schedule-summary');
+        if (waits) {
+            waits.innerHTML = simulation.activities.map(activity => {
+                const value = !activity.hosted ? 'No room'
+                    : `${Math.round(activity.averageWait)} min wait` +
+                      (activity.unfinishedMinutes > 0 ? `, ${activity.unfinishedMinutes} min undone` : '');
+                return `<dt>${activity.name}</dt><dd>${value}</dd>`;
+            }).join('');
+        }
+    }
+
+    /**
+     * Run ShieldingModel on the layout with the chosen shell materials
+     * @param {Function} measureDistance - Distance between two rooms (m)
+     */
+    function analyzeShielding(measureDistance) {
+        const config = editorState.missionConfig;
+        const environment = MissionConfig.getNASAStandards().environmental[config.missionType];
+
+        return ShieldingModel.analyzeShielding({
+            rooms: getLayoutInMetres(),
+            missionConfig: config,
+            materials: editorState.shielding.materials,
+            shelterId: editorState.shielding.shelterId,
+            shieldingFactor: environment ? environment.radiationShielding : 1,
+            measureDistance: measureDistance
+        });
+    }
+
+    /**
+     * Check the crew dose over the mission against the NASA limit
+     */
+    function checkRadiationDose() {
+        const dose = editorState.shieldingAnalysis.dose;
+
+        return {
+            status: editorState.placedRooms.size === 0 ? 'fail' : dose.status,
+            message: editorState.placedRooms.size === 0 ? 'No rooms placed' : dose.message
+        };
+    }
+
+    /**
+     * Check the designated storm shelter is shielded, big enough and
+     * quick to reach for the whole crew
+     */
+    function checkStormShelter() {
+        const shelter = editorState.shieldingAnalysis.shelter;
+
+        return {
+            status: shelter.status,
+            issues: shelter.issues,
+            message: shelter.message
+        };
+    }
+
+    /**
+     * Designate a placed room as the storm shelter
+     */
+    function designateStormShelter(instanceId) {
+        editorState.shielding.shelterId = instanceId;
+        saveRoomLayout();
+        validateCurrentLayout();
+    }
+
+    /**
+     * Wire the shell material inputs of the shielding panel
+     */
+    function setupShieldingControls() {
+        Object.keys(ShieldingModel.MATERIALS).forEach(material => {
+            const input = document.getElementById(`shielding-${material}`);
+            if (!input || input.hasAttribute('data-initialized')) return;
+
+            input.value = editorState.shielding.materials[material];
+            input.addEventListener('change', function() {
+                editorState.shielding.materials[material] = Math.max(0, parseFloat(this.value) || 0);
+                this.value = editorState.shielding.materials[material];
+                saveRoomLayout();
+                validateCurrentLayout();
+            });
+            input.setAttribute('data-initialized', 'true');
+        });
+    }
+
+    /**
+     * Show the shell materials in the shielding panel inputs
+     */
+    function updateShieldingInputs() {
+        Object.keys(ShieldingModel.MATERIALS).forEach(material => {
+            const input = document.getElementById(`shielding-${material}`);
+            if (input) input.value = editorState.shielding.materials[material];
+        });
+    }
+
+    /**
+     * Show shielding per room and mark the storm shelter on the canvas
+     */
+    function renderShielding() {
+        const analysis = editorState.shieldingAnalysis;
+        const shelterId = analysis ? analysis.shelter.id : null;
+
+        for (const roomInstance of editorState.placedRooms.values()) {
+            roomInstance.element.classList.toggle('storm-shelter-room', roomInstance.id === shelterId);
+        }
+
+        if (!analysis) return;
+
+        const shell = ShieldingModel.getShellArealDensity(editorState.shielding.materials);
+        updateElement('shielding-summary',
+            `Shell ${shell.physical.toFixed(1)} g/cm² · ${analysis.dose.dailyDose.toFixed(2)} mSv/day`);
+
+        const list = document.getElementById('shielding-rooms');
+        if (!list) return;
+
+        list.innerHTML = analysis.rooms
+            .filter(room => room.level === editorState.currentLevel)
+            .map(room => `
+                <li class="shielding-room${room.id === shelterId ? ' shelter' : ''}">
+                    <span>${room.id === shelterId ? '🛡️ ' : ''}${getRoomSpec(room.type).name}</span>
+                    <span>${room.arealDensity.toFixed(1)} g/cm² · ${room.doseRate.toFixed(2)} mSv/day</span>
+                </li>
+            `).join('');
+    }
+
+    /**
+     * Outline the zones of the current level with their hulls
+     */
+    function renderZones() {
+        const overlay = document.getElementById('zone-overlay');
+        if (!overlay) return;
+
+        overlay.innerHTML = '';
+        if (!editorState.showZones || !editorState.zoneAnalysis) return;
+
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const toPixels = metres => MODULE_ORIGIN + metres * GRID_SCALE;
+        const conflictRooms = new Set([].concat(...editorState.zoneAnalysis.conflicts.map(conflict => conflict.rooms)));
+
+        editorState.zoneAnalysis.zones
+            .filter(zone => zone.level === editorState.currentLevel)
+            .forEach(zone => {
+                const zoneInfo = ZoningModel.ZONES[zone.zone];
+
+                zone.blocks.forEach(block => {
+                    const hull = document.createElementNS(svgNamespace, 'polygon');
+                    hull.setAttribute('points', block.hull.map(point => `${toPixels(point.x)},${toPixels(point.y)}`).join(' '));
+                    hull.setAttribute('class', 'zone-hull');
+                    hull.style.fill = zoneInfo.color;
+                    hull.style.stroke = zoneInfo.color;
+                    overlay.appendChild(hull);
+
+                    // Label the block at the centre of its hull corners
+                    const label = document.createElementNS(svgNamespace, 'text');
+                    label.setAttribute('x', toPixels(block.hull.reduce((sum, point) => sum + point.x, 0) / block.hull.length));
+                    label.setAttribute('y', toPixels(block.hull.reduce((sum, point) => sum + point.y, 0) / block.hull.length));
+                    label.setAttribute('class', 'zone-label');
+                    label.textContent = zoneInfo.name;
+                    overlay.appendChild(label);
+                });
+            });
+
+        // Mark rooms that sit next to a forbidden zone
+        for (const [instanceId, roomInstance] of editorState.placedRooms) {
+            if (roomInstance.level !== editorState.currentLevel || !conflictRooms.has(instanceId)) continue;
+
+            const outline = document.createElementNS(svgNamespace, 'rect');
+            outline.setAttribute('x', roomInstance.position.x);
+            outline.setAttribute('y', roomInstance.position.y);
+            outline.setAttribute('width', roomInstance.dimensions.width);
+            outline.setAttribute('height', roomInstance.dimensions.height);
+            outline.setAttribute('class', 'zone-conflict');
+            overlay.appendChild(outline);
+        }
+    }
+
+    /**
+     * Check every room has two independent routes to an exit wide enough
+     * for NASA_STANDARDS.SAFETY.fire.exitWidth. Levels without an airlock
+     * are evacuated through their stairs, ladders and hatches.
+     */
+    function checkEgress() {
+        const connectorTypes = RoomsManager.getRoomsByCategory('connector').map(room => room.id);
+        const floorPlan = getFloorPlan();
+        const layout = getLayoutInMetres();
+
+        editorState.egressAnalysis = [];
+        if (layout.length === 0) {
+            return { status: 'pass', message: 'No rooms placed' };
+        }
+
+        const issues = [];
+        for (let level = 0; level < editorState.levelCount; level++) {
+            const rooms = layout.filter(room => room.level === level);
+            if (rooms.length === 0) continue;
+
+            const hasAirlock = rooms.some(room => room.type === 'airlock');
+            const analysis = CirculationAnalysis.analyzeEgress({
+                floorPlan: floorPlan,
+                rooms: rooms,
+                exitTypes: hasAirlock ? ['airlock'] : connectorTypes,
+                ignoreTypes: connectorTypes
+            });
+            analysis.level = level;
+            editorState.egressAnalysis.push(analysis);
+
+            const levelLabel = editorState.levelCount > 1 ? `Level ${level + 1} - ` : '';
+            if (analysis.rooms.length === 0 && analysis.status === 'fail') {
+                issues.push(levelLabel + analysis.message);
+            }
+            analysis.rooms.filter(room => room.status !== 'pass').forEach(room => {
+                issues.push(`${levelLabel}${getRoomSpec(room.type).name}: ${room.message}`);
+            });
+        }
+
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            issues: issues,
+            message: issues.length === 0
+                ? 'Two exit routes from every room'
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : '')
+        };
+    }
+
+    /**
+     * Draw the egress routes of the current level on the canvas
+     */
+    function renderEgressPaths() {
+        const overlay = document.getElementById('egress-overlay');
+        if (!overlay) return;
+
+        overlay.innerHTML = '';
+        if (!editorState.showEgressPaths) return;
+
+        const analysis = editorState.egressAnalysis.find(item => item.level === editorState.currentLevel);
+        if (!analysis) return;
+
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const toPixels = metres => MODULE_ORIGIN + metres * GRID_SCALE;
+
+        analysis.rooms.forEach(room => {
+            room.routes.forEach((route, index) => {
+                const line = document.createElementNS(svgNamespace, 'polyline');
+                line.setAttribute('points', route.map(point => `${toPixels(point.x)},${toPixels(point.y)}`).join(' '));
+                line.setAttribute('class', `egress-route ${room.status === 'narrow' ? 'narrow' : index === 0 ? 'primary' : 'secondary'}`);
+                overlay.appendChild(line);
+            });
+
+            // Outline rooms that cannot be evacuated properly
+            const roomInstance = editorState.placedRooms.get(room.id);
+            if (room.status !== 'pass' && roomInstance) {
+                const outline = document.createElementNS(svgNamespace, 'rect');
+                outline.setAttribute('x', roomInstance.position.x);
+                outline.setAttribute('y', roomInstance.position.y);
+                outline.setAttribute('width', roomInstance.dimensions.width);
+                outline.setAttribute('height', roomInstance.dimensions.height);
+                outline.setAttribute('class', 'egress-problem');
+
+                const title = document.createElementNS(svgNamespace, 'title');
+                title.textContent = room.message;
+                outline.appendChild(title);
+                overlay.appendChild(outline);
+            }
+        });
+    }
+
+    /**
+     * Floor plan of the module, falling back to its bounding rectangle
+     */
+    function getFloorPlan() {
+        return editorState.floorPlan || {
+            shape: 'rectangle',
+            width: editorState.moduleDimensions.width,
+            length: editorState.moduleDimensions.length
+        };
+    }
+
+    /**
+     * Distance measure for the registry proximity rules, the scoring engine
+     * and the storm shelter reach time; noise uses AcousticModel instead
+     * Walks the free floor between rooms (see CirculationAnalysis) unless
+     * straight-line distances were chosen for comparison
+     * @param {Array} rooms - Layout in metres, as from getLayoutInMetres
+     * @returns {Function} (room1, room2) => distance in metres
+     */
+    function getDistanceMeasure(rooms) {
+        if (!editorState.useWalkingDistance) {
+            return measureStraightLine;
+        }
+
+        const distanceMap = CirculationAnalysis.createDistanceMap({
+            floorPlan: getFloorPlan(),
+            rooms: rooms,
+            levelHeight: LEVEL_HEIGHT,
+            connectorTypes: RoomsManager.getRoomsByCategory('connector').map(room => room.id)
+        });
+        return distanceMap.between;
+    }
+
+    /**
+     * Straight-line distance between room centres
+     * Rooms on other levels are separated by the floor height
+     */
+    function measureStraightLine(room1, room2) {
+        const verticalDistance = Math.abs((room1.level || 0) - (room2.level || 0)) * LEVEL_HEIGHT;
+        return Math.hypot(RoomsManager.calculateRoomDistance(room1, room2), verticalDistance);
+    }
 
     /**
      * Check if two rooms are adjacent
@@ -691,6 +1926,9 @@ const HabitatEditor = (function() {
     function areAdjacent(room1, room2) {
         const buffer = 5; // Small buffer for floating point precision
 
+        // Rooms on different levels never share a wall
+        if (room1.level !== room2.level) return false;
+
         // Check if rooms share an edge
         const room1Right = room1.position.x + room1.dimensions.width;
         const room1Bottom = room1.position.y + room1.dimensions.height;
@@ -722,10 +1960,7 @@ const HabitatEditor = (function() {
      * Get required volume per person based on mission duration
      */
     function getRequiredVolumePerPerson(duration) {
-        if (duration <= 30) return 20;    // Short missions
-        if (duration <= 90) return 25;    // Medium missions  
-        if (duration <= 180) return 30;   // Long missions
-        return 40; // Permanent habitation
+        return getVolumeRequirement(duration).volumePerPerson;
     }
 
     /**
@@ -754,6 +1989,50 @@ const HabitatEditor = (function() {
             updateValidationItem('adjacency-status', 'adjacency-value', results.adjacencyRules);
         }
 
+        // Functional zoning
+        if (results.zoning) {
+            updateValidationItem('zoning-status', 'zoning-value', results.zoning);
+        }
+
+        // Radiation dose and storm shelter
+        if (results.radiationDose) {
+            updateValidationItem('radiation-status', 'radiation-value', results.radiationDose);
+        }
+        if (results.stormShelter) {
+            updateValidationItem('shelter-status', 'shelter-value', results.stormShelter);
+        }
+
+        // Crew schedule
+        if (results.schedule) {
+            updateValidationItem('schedule-status', 'schedule-value', results.schedule);
+        }
+
+        // Thermal control
+        if (results.thermal) {
+            updateValidationItem('thermal-status', 'thermal-value', results.thermal);
+        }
+
+        // Power budget
+        if (results.power) {
+            updateValidationItem('power-status', 'power-value', results.power);
+        }
+
+        // Destination rule pack
+        if (results.destination) {
+            updateValidationItem('destination-status', 'destination-value', results.destination);
+            updateElement('destination-title', results.destination.packName
+                ? `${results.destination.packName} Rules` : 'Destination Rules');
+        }
+
+        // Vertical connections between levels
+        updateValidationItem('vertical-connections-status', 'vertical-connections-value',
+            results.verticalConnections || { status: 'pass', message: 'Single level habitat' });
+
+        // Emergency egress routes
+        if (results.egress) {
+            updateValidationItem('egress-status', 'egress-value', results.egress);
+        }
+
         // Overall score
         updateElement('compliance-score-number', editorState.complianceScore);
         
@@ -824,10 +2103,42 @@ const HabitatEditor = (function() {
 
         // Auto layout button
         const autoBtn = document.getElementById('auto-layout-btn');
-        if (autoBtn) {
+        if (autoBtn && !autoBtn.hasAttribute('data-initialized')) {
             autoBtn.addEventListener('click', function() {
                 generateAutoLayout();
             });
+            autoBtn.setAttribute('data-initialized', 'true');
+        }
+
+        // Complete layout button
+        const completeBtn = document.getElementById('complete-layout-btn');
+        if (completeBtn && !completeBtn.hasAttribute('data-initialized')) {
+            completeBtn.addEventListener('click', function() {
+                completeLayout();
+            });
+            completeBtn.setAttribute('data-initialized', 'true');
+        }
+
+        // Design file export/import
+        const exportBtn = document.getElementById('export-design-btn');
+        if (exportBtn && !exportBtn.hasAttribute('data-initialized')) {
+            exportBtn.addEventListener('click', exportDesign);
+            exportBtn.setAttribute('data-initialized', 'true');
+        }
+
+        const importBtn = document.getElementById('import-design-btn');
+        const importInput = document.getElementById('import-design-input');
+        if (importBtn && importInput && !importBtn.hasAttribute('data-initialized')) {
+            importBtn.addEventListener('click', function() {
+                importInput.click();
+            });
+            importInput.addEventListener('change', function() {
+                if (this.files && this.files[0]) {
+                    importDesign(this.files[0]);
+                }
+                this.value = '';
+            });
+            importBtn.setAttribute('data-initialized', 'true');
         }
 
         // Room category filters
@@ -869,91 +2180,235 @@ const HabitatEditor = (function() {
     }
 
     /**
-     * Generate automatic room layout
+     * Remove the rooms of one level, leaving the other levels untouched
      */
-    function generateAutoLayout() {
-        console.log('🤖 Generating auto layout...');
-
-        // Clear existing rooms
-        clearAllRooms();
-
-        // Get essential rooms for the mission
-        const essentialRooms = ['airlock', 'life-support', 'sleeping', 'kitchen', 'hygiene', 'medical'];
-        const config = editorState.missionConfig;
-
-        // Simple grid placement algorithm
-        let x = 40; // Starting position with margin
-        let y = 40;
-        const maxWidth = 400; // Max width before wrapping
-        const spacing = 20; // Space between rooms
-
-        for (const roomType of essentialRooms) {
-            const roomData = ROOM_CATALOG[roomType];
-            if (!roomData) continue;
-
-            const roomWidth = roomData.dimensions.width * GRID_SCALE;
-            const roomHeight = roomData.dimensions.length * GRID_SCALE;
-
-            // Add multiple sleeping quarters based on crew size
-            if (roomType === 'sleeping' && config) {
-                for (let i = 0; i < config.crewSize; i++) {
-                    // Check if we need to wrap to next row
-                    if (x + roomWidth > maxWidth) {
-                        x = 40;
-                        y += 100 + spacing; // Move to next row
-                    }
-
-                    placeRoom(roomType, x, y);
-                    x += roomWidth + spacing;
-                }
-            } else {
-                // Check if we need to wrap to next row
-                if (x + roomWidth > maxWidth) {
-                    x = 40;
-                    y += 100 + spacing; // Move to next row
-                }
+    function clearLevelRooms(level) {
+        for (const [instanceId, roomInstance] of editorState.placedRooms) {
+            if (roomInstance.level !== level) continue;
 
-                placeRoom(roomType, x, y);
-                x += roomWidth + spacing;
+            if (roomInstance.element && roomInstance.element.parentNode) {
+                roomInstance.element.parentNode.removeChild(roomInstance.element);
             }
+            editorState.placedRooms.delete(instanceId);
         }
 
-        console.log('✅ Auto layout generated');
+        updateCanvasInfo();
+        validateCurrentLayout();
+        saveRoomLayout();
+
+        console.log(`🧹 Rooms cleared from level ${level + 1}`);
     }
 
     /**
-     * Filter rooms by category
+     * Generate an optimized layout on the current level with the required
+     * rooms for the crew that the other levels do not already hold
+     * The seed makes the result reproducible; without one a random seed is used
      */
-    function filterRoomsByCategory(category) {
-        const roomItems = document.querySelectorAll('.room-item');
-        
-        roomItems.forEach(item => {
-            const roomId = item.dataset.roomId;
-            const roomData = ROOM_CATALOG[roomId];
-            
-            if (!roomData) {
-                item.style.display = 'none';
-                return;
-            }
+    function generateAutoLayout(seed) {
+        console.log('🤖 Generating auto layout...');
 
-            let shouldShow = false;
-            
-            if (category === 'all') {
-                shouldShow = true;
-            } else if (category === 'essential') {
-                shouldShow = roomData.type === 'essential';
-            } else if (category === 'optional') {
-                shouldShow = roomData.type === 'optional' || roomData.type === 'required';
+        const roomCounts = getRequiredRoomCounts();
+        for (const roomInstance of editorState.placedRooms.values()) {
+            if (roomInstance.level !== editorState.currentLevel && roomCounts[roomInstance.roomType] > 0) {
+                roomCounts[roomInstance.roomType]--;
             }
+        }
 
-            item.style.display = shouldShow ? 'flex' : 'none';
+        const result = LayoutOptimizer.optimizeLayout({
+            roomCounts: roomCounts,
+            floorPlan: editorState.floorPlan,
+            moduleDimensions: editorState.moduleDimensions,
+            seed: getLayoutSeed(seed)
+        });
+
+        // Record the whole layout as a single undo step
+        runAsSingleHistoryStep(function() {
+            clearLevelRooms(editorState.currentLevel);
+            addOptimizedRooms(result.rooms);
         });
+
+        reportLayoutResult(result);
+
+        console.log(`✅ Auto layout generated (seed ${result.seed})`);
+        return result;
     }
 
     /**
-     * Update mission info display
+     * Place only the rooms still missing for the crew, keeping every
+     * existing room on the current level locked where it is
      */
-    function updateMissionInfoDisplay() {
+    function completeLayout(seed) {
+        const missingRooms = getMissingRooms();
+        const missingCount = Object.values(missingRooms).reduce((sum, count) => sum + count, 0);
+
+        if (missingCount === 0) {
+            alert('The layout already has every required room.');
+            return null;
+        }
+
+        console.log('🧩 Completing layout with', missingCount, 'missing rooms...');
+
+        const lockedRooms = getLayoutInMetres()
+            .filter(room => room.level === editorState.currentLevel)
+            .map(room => ({
+                type: room.type,
+                position: room.position,
+                dimensions: room.dimensions,
+                orientation: room.orientation
+            }));
+
+        const result = LayoutOptimizer.optimizeLayout({
+            roomCounts: missingRooms,
+            lockedRooms: lockedRooms,
+            floorPlan: editorState.floorPlan,
+            moduleDimensions: editorState.moduleDimensions,
+            seed: getLayoutSeed(seed)
+        });
+
+        // Add the new rooms as a single undo step
+        runAsSingleHistoryStep(function() {
+            addOptimizedRooms(result.rooms);
+        });
+
+        reportLayoutResult(result);
+
+        console.log(`✅ Layout completed: ${result.rooms.length} rooms added (seed ${result.seed})`);
+        return result;
+    }
+
+    /**
+     * Count the rooms still needed for the crew, across all levels
+     * Every essential room type is needed at least once
+     */
+    function getMissingRooms() {
+        const required = getRequiredRoomCounts();
+
+        RoomsManager.getRoomsByCategory('essential').forEach(room => {
+            required[room.id] = Math.max(required[room.id] || 0, 1);
+        });
+
+        const placedCounts = {};
+        for (const roomInstance of editorState.placedRooms.values()) {
+            placedCounts[roomInstance.roomType] = (placedCounts[roomInstance.roomType] || 0) + 1;
+        }
+
+        const missing = {};
+        Object.entries(required).forEach(([roomType, count]) => {
+            const stillNeeded = count - (placedCounts[roomType] || 0);
+            if (stillNeeded > 0) {
+                missing[roomType] = stillNeeded;
+            }
+        });
+
+        return missing;
+    }
+
+    /**
+     * Rooms needed for the crew, with those the destination rules add
+     * and the storm shelter
+     */
+    function getRequiredRoomCounts() {
+        const config = editorState.missionConfig;
+        if (!config) return RoomsManager.calculateRequiredRooms(4);
+
+        const required = DestinationRules.getRequiredRooms(config);
+        required.storm_shelter = ShieldingModel.getRequiredShelterRooms(config);
+        return required;
+    }
+
+    /**
+     * Use the given seed, the one typed in the seed field, or a random one
+     */
+    function getLayoutSeed(seed) {
+        const seedInput = document.getElementById('auto-layout-seed');
+        let layoutSeed = seed !== undefined ? seed : parseInt(seedInput ? seedInput.value : '', 10);
+
+        if (!Number.isInteger(layoutSeed) || layoutSeed < 0) {
+            layoutSeed = Math.floor(Math.random() * 1000000);
+        }
+
+        return layoutSeed;
+    }
+
+    /**
+     * Add optimizer rooms (metres) to the current level and revalidate
+     */
+    function addOptimizedRooms(rooms) {
+        rooms.forEach((room, index) => {
+            addSavedRoom({
+                instanceId: `${room.type}_${Date.now()}_${index}`,
+                roomType: room.type,
+                position: {
+                    x: MODULE_ORIGIN + room.position.x * GRID_SCALE,
+                    y: MODULE_ORIGIN + room.position.y * GRID_SCALE
+                },
+                dimensions: getRoomFootprint(getRoomSpec(room.type), room.orientation),
+                orientation: room.orientation,
+                level: editorState.currentLevel
+            });
+        });
+
+        updateCanvasInfo();
+        validateCurrentLayout();
+    }
+
+    /**
+     * Show the seed used and list any rooms that did not fit
+     */
+    function reportLayoutResult(result) {
+        // Show the seed used so the layout can be reproduced
+        const seedInput = document.getElementById('auto-layout-seed');
+        if (seedInput) {
+            seedInput.placeholder = `Seed ${result.seed}`;
+        }
+
+        if (result.unplaced.length === 0) return;
+
+        const counts = {};
+        result.unplaced.forEach(type => {
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        const missing = Object.entries(counts)
+            .map(([type, count]) => `${count} × ${getRoomSpec(type).name}`);
+
+        console.warn('⚠️ Layout could not fit:', missing.join(', '));
+        alert(`Not every required room fits in this structure:\n\n• ${missing.join('\n• ')}\n\n` +
+            'Choose a larger structure or add a level and place them there.');
+    }
+
+    /**
+     * Filter rooms by category
+     */
+    function filterRoomsByCategory(category) {
+        const roomItems = document.querySelectorAll('.room-item');
+        
+        roomItems.forEach(item => {
+            const roomId = item.dataset.roomId;
+            const roomData = getRoomSpec(roomId);
+            
+            if (!roomData) {
+                item.style.display = 'none';
+                return;
+            }
+
+            let shouldShow = false;
+            
+            if (category === 'all') {
+                shouldShow = true;
+            } else if (category === 'essential') {
+                shouldShow = roomData.category === 'essential';
+            } else if (category === 'optional') {
+                shouldShow = roomData.category !== 'essential';
+            }
+
+            item.style.display = shouldShow ? 'flex' : 'none';
+        });
+    }
+
+    /**
+     * Update mission info display
+     */
+    function updateMissionInfoDisplay() {
         const config = editorState.missionConfig;
         const structure = editorState.structureConfig;
 
@@ -978,43 +2433,65 @@ const HabitatEditor = (function() {
         const structure = editorState.structureConfig;
         if (!structure || !structure.selectedStructureType) return;
 
+        const plan = StructurePage.getModuleFloorPlan(structure.selectedStructureType, structure.selectedSize);
+        if (!plan) return;
+
+        editorState.floorPlan = plan;
+        editorState.moduleDimensions = {
+            width: plan.width,
+            length: plan.length,
+            area: plan.floorArea
+        };
+
         // Update module outline
         const outline = document.getElementById('module-outline');
         const outlineLabel = document.getElementById('module-outline-label');
 
         if (outline && outlineLabel) {
-            // Set outline dimensions based on structure type
-            let width = 480; // Default width
-            let height = 360; // Default height
-
-            switch (structure.selectedStructureType) {
-                case 'dome':
-                    width = 480;
-                    height = 480;
+            const width = plan.width * GRID_SCALE;
+            const height = plan.length * GRID_SCALE;
+
+            outline.style.left = MODULE_ORIGIN + 'px';
+            outline.style.top = MODULE_ORIGIN + 'px';
+            outline.style.width = width + 'px';
+            outline.style.height = height + 'px';
+            outline.dataset.shape = plan.shape;
+
+            // Set outline shape based on structure type
+            switch (plan.shape) {
+                case 'circle':
+                case 'annulus':
                     outline.style.borderRadius = '50%';
                     break;
-                case 'cube':
-                    width = 480;
-                    height = 480;
-                    outline.style.borderRadius = '8px';
-                    break;
-                case 'cylinder':
-                    width = 600;
-                    height = 300;
-                    outline.style.borderRadius = '150px';
+                case 'stadium':
+                    outline.style.borderRadius = (height / 2) + 'px';
                     break;
                 default:
                     outline.style.borderRadius = '8px';
             }
 
-            outline.style.width = width + 'px';
-            outline.style.height = height + 'px';
+            // Torus: mark the central hole as unusable floor
+            let hole = outline.querySelector('.module-outline-hole');
+            if (plan.innerDiameter > 0) {
+                if (!hole) {
+                    hole = document.createElement('div');
+                    hole.className = 'module-outline-hole';
+                    outline.appendChild(hole);
+                }
+                const holeSize = plan.innerDiameter * GRID_SCALE;
+                hole.style.width = holeSize + 'px';
+                hole.style.height = holeSize + 'px';
+                hole.style.left = ((width - holeSize) / 2) + 'px';
+                hole.style.top = ((height - holeSize) / 2) + 'px';
+            } else if (hole) {
+                hole.remove();
+            }
 
-            const structureName = structure.selectedStructureType.charAt(0).toUpperCase() + 
-                                structure.selectedStructureType.slice(1) + ' Module';
-            const area = Math.round((width * height) / (GRID_SCALE * GRID_SCALE));
-            outlineLabel.textContent = `${structureName} - ${area}m²`;
+            const sizeName = plan.size.charAt(0).toUpperCase() + plan.size.slice(1);
+            outlineLabel.textContent = `${plan.name} (${sizeName}) - ${plan.floorArea}m²`;
         }
+
+        updateCanvasInfo();
     }
 
     /**
@@ -1025,21 +2502,28 @@ const HabitatEditor = (function() {
         let totalArea = 0;
         let totalVolume = 0;
 
-        // Calculate totals
+        // Floor area counts the current level; volume is summed across all levels
         for (const [instanceId, roomInstance] of editorState.placedRooms) {
-            totalArea += roomInstance.roomData.area;
+            if (roomInstance.level === editorState.currentLevel) {
+                totalArea += roomInstance.roomData.area;
+            }
             totalVolume += roomInstance.roomData.area * roomInstance.roomData.dimensions.height;
         }
 
         // Update displays
         updateElement('rooms-placed-count', roomCount);
         
-        // Calculate percentage of available space used (rough estimate)
-        const availableArea = 144; // m² (standard module)
+        // Calculate percentage of the module floor area used
+        const availableArea = editorState.moduleDimensions.area;
         const spaceUsed = Math.min(100, Math.round((totalArea / availableArea) * 100));
         updateElement('space-used-percent', spaceUsed + '%');
         
         updateElement('volume-allocated', Math.round(totalVolume) + ' m³');
+
+        // Pressurised volume of the whole tower
+        const habitatVolume = editorState.moduleDimensions.area * LEVEL_HEIGHT * editorState.levelCount;
+        const levelLabel = editorState.levelCount === 1 ? 'level' : 'levels';
+        updateElement('habitat-volume', `${Math.round(habitatVolume)} m³ (${editorState.levelCount} ${levelLabel})`);
     }
 
     /**
@@ -1105,18 +2589,15 @@ const HabitatEditor = (function() {
      */
     function saveRoomLayout() {
         try {
-            const roomsData = [];
-            for (const [instanceId, roomInstance] of editorState.placedRooms) {
-                roomsData.push({
-                    instanceId: instanceId,
-                    roomType: roomInstance.roomType,
-                    position: roomInstance.position,
-                    dimensions: roomInstance.dimensions
-                });
-            }
+            const roomsData = serializeRoomLayout();
+            recordHistoryStep({ levels: editorState.levelCount, rooms: roomsData });
 
             const saveData = {
+                version: LAYOUT_VERSION,
+                levels: editorState.levelCount,
                 rooms: roomsData,
+                shielding: editorState.shielding,
+                power: editorState.power,
                 complianceScore: editorState.complianceScore,
                 timestamp: Date.now()
             };
@@ -1128,6 +2609,20 @@ const HabitatEditor = (function() {
         }
     }
 
+    /**
+     * Serialize placed rooms into the saved layout format
+     */
+    function serializeRoomLayout() {
+        return Array.from(editorState.placedRooms.values()).map(roomInstance => ({
+            instanceId: roomInstance.id,
+            roomType: roomInstance.roomType,
+            position: { ...roomInstance.position },
+            dimensions: { ...roomInstance.dimensions },
+            orientation: roomInstance.orientation,
+            level: roomInstance.level
+        }));
+    }
+
     /**
      * Load saved room layout
      */
@@ -1136,44 +2631,467 @@ const HabitatEditor = (function() {
             const saved = localStorage.getItem('spaceArchitects_roomLayout');
             if (!saved) return;
 
-            const saveData = JSON.parse(saved);
+            const saveData = migrateSavedLayout(JSON.parse(saved));
             if (!saveData.rooms) return;
 
             // Recreate rooms from saved data
-            for (const roomData of saveData.rooms) {
-                const roomSpec = ROOM_CATALOG[roomData.roomType];
-                if (!roomSpec) continue;
-
-                // Create room element
-                const roomElement = createRoomElement(
-                    roomData.instanceId,
-                    roomSpec,
-                    roomData.position.x,
-                    roomData.position.y,
-                    roomData.dimensions.width,
-                    roomData.dimensions.height
-                );
+            clearRoomElements();
+            editorState.levelCount = saveData.levels || 1;
+            saveData.rooms.forEach(addSavedRoom);
+            syncLevelCount();
+
+            if (saveData.shielding) {
+                editorState.shielding = {
+                    materials: { ...editorState.shielding.materials, ...saveData.shielding.materials },
+                    shelterId: saveData.shielding.shelterId || null
+                };
+            }
+            if (saveData.power) {
+                editorState.power = { ...saveData.power };
+            }
+
+            console.log('📂 Room layout loaded');
+        } catch (error) {
+            console.error('❌ Failed to load room layout:', error);
+        }
+    }
+
+    /**
+     * Recreate a placed room from its saved layout entry
+     */
+    function addSavedRoom(roomData) {
+        const roomSpec = getRoomSpec(roomData.roomType);
+        if (!roomSpec) return;
+
+        const orientation = roomData.orientation === 90 ? 90 : 0;
+        const level = Number.isInteger(roomData.level) && roomData.level >= 0 ? roomData.level : 0;
+
+        // Create room element
+        const roomElement = createRoomElement(
+            roomData.instanceId,
+            roomSpec,
+            roomData.position.x,
+            roomData.position.y,
+            roomData.dimensions.width,
+            roomData.dimensions.height
+        );
+        roomElement.dataset.orientation = orientation;
+        setRoomElementLevel(roomElement, level);
+
+        // Add to canvas
+        const placedRoomsContainer = document.getElementById('placed-rooms');
+        if (placedRoomsContainer) {
+            placedRoomsContainer.appendChild(roomElement);
+        }
+
+        // Add to state
+        editorState.placedRooms.set(roomData.instanceId, {
+            id: roomData.instanceId,
+            roomType: roomData.roomType,
+            roomData: roomSpec,
+            position: { ...roomData.position },
+            dimensions: { ...roomData.dimensions },
+            orientation: orientation,
+            level: level,
+            element: roomElement
+        });
+    }
+
+    /**
+     * Migrate a saved layout from older editor versions onto the unified
+     * room registry ids, dropping rooms that no longer exist
+     */
+    function migrateSavedLayout(saveData) {
+        if (!saveData.rooms || saveData.version >= LAYOUT_VERSION) {
+            return saveData;
+        }
+
+        const rooms = [];
+        for (const roomData of saveData.rooms) {
+            const roomType = RoomsManager.resolveRoomId(roomData.roomType);
+            const roomSpec = roomType ? getRoomSpec(roomType) : null;
+
+            if (!roomSpec) {
+                console.warn('⚠️ Dropping unknown room type from saved layout:', roomData.roomType);
+                continue;
+            }
+
+            rooms.push({
+                ...roomData,
+                roomType: roomType,
+                dimensions: getRoomFootprint(roomSpec, roomData.orientation)
+            });
+        }
+
+        const migrated = { ...saveData, version: LAYOUT_VERSION, rooms: rooms };
+        localStorage.setItem('spaceArchitects_roomLayout', JSON.stringify(migrated));
+        console.log(`🔁 Migrated saved layout to version ${LAYOUT_VERSION}`);
+
+        return migrated;
+    }
+
+    /**
+     * Remove every room element and clear placed room state
+     */
+    function clearRoomElements() {
+        const placedRoomsContainer = document.getElementById('placed-rooms');
+        if (placedRoomsContainer) {
+            placedRoomsContainer.innerHTML = '';
+        }
+        editorState.placedRooms.clear();
+    }
+
+    /**
+     * Tag a room element with its level and hide it when another level is shown
+     */
+    function setRoomElementLevel(roomElement, level) {
+        roomElement.dataset.level = level;
+        roomElement.classList.toggle('other-level', level !== editorState.currentLevel);
+    }
+
+    /**
+     * Make sure every level holding rooms exists and the current level is valid
+     */
+    function syncLevelCount() {
+        let highestLevel = 0;
+        for (const roomInstance of editorState.placedRooms.values()) {
+            highestLevel = Math.max(highestLevel, roomInstance.level);
+        }
+
+        editorState.levelCount = Math.min(MAX_LEVELS, Math.max(editorState.levelCount, highestLevel + 1));
+        editorState.currentLevel = Math.min(editorState.currentLevel, editorState.levelCount - 1);
+
+        switchLevel(editorState.currentLevel);
+    }
+
+    /**
+     * Show one level of the habitat on the canvas
+     */
+    function switchLevel(level) {
+        if (level < 0 || level >= editorState.levelCount) return false;
+
+        editorState.currentLevel = level;
+
+        for (const roomInstance of editorState.placedRooms.values()) {
+            setRoomElementLevel(roomInstance.element, roomInstance.level);
+        }
+
+        renderLevelGuides();
+        renderLevelSwitcher();
+        renderHeatmap();
+        renderNoiseMap();
+        renderZones();
+        renderEgressPaths();
+        renderShielding();
+        renderThermal();
+        updateCanvasInfo();
 
-                // Add to canvas
-                const placedRoomsContainer = document.getElementById('placed-rooms');
-                if (placedRoomsContainer) {
-                    placedRoomsContainer.appendChild(roomElement);
+        console.log(`🏢 Showing level ${level + 1} of ${editorState.levelCount}`);
+        return true;
+    }
+
+    /**
+     * Add a level on top of the habitat and switch to it
+     */
+    function addLevel() {
+        if (editorState.levelCount >= MAX_LEVELS) {
+            console.warn(`⚠️ Habitats are limited to ${MAX_LEVELS} levels`);
+            return false;
+        }
+
+        editorState.levelCount++;
+        switchLevel(editorState.levelCount - 1);
+        validateCurrentLayout();
+        saveRoomLayout();
+
+        return true;
+    }
+
+    /**
+     * Remove the top level together with its rooms
+     */
+    function removeLevel() {
+        if (editorState.levelCount <= 1) return false;
+
+        const topLevel = editorState.levelCount - 1;
+
+        // Removing the rooms is a single undoable step
+        runAsSingleHistoryStep(function() {
+            for (const roomInstance of Array.from(editorState.placedRooms.values())) {
+                if (roomInstance.level === topLevel) {
+                    removeRoom(roomInstance.id);
                 }
+            }
 
-                // Add to state
-                editorState.placedRooms.set(roomData.instanceId, {
-                    id: roomData.instanceId,
-                    roomType: roomData.roomType,
-                    roomData: roomSpec,
-                    position: roomData.position,
-                    dimensions: roomData.dimensions,
-                    element: roomElement
-                });
+            editorState.levelCount--;
+            switchLevel(Math.min(editorState.currentLevel, editorState.levelCount - 1));
+            validateCurrentLayout();
+        });
+
+        return true;
+    }
+
+    /**
+     * Render the level switcher buttons
+     */
+    function renderLevelSwitcher() {
+        const switcher = document.getElementById('level-switcher');
+        if (!switcher) return;
+
+        switcher.innerHTML = '';
+
+        for (let level = editorState.levelCount - 1; level >= 0; level--) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'level-btn' + (level === editorState.currentLevel ? ' active' : '');
+            button.textContent = `Level ${level + 1}`;
+            button.addEventListener('click', () => switchLevel(level));
+            switcher.appendChild(button);
+        }
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'level-btn level-add';
+        addBtn.textContent = '+ Level';
+        addBtn.disabled = editorState.levelCount >= MAX_LEVELS;
+        addBtn.addEventListener('click', addLevel);
+        switcher.appendChild(addBtn);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'level-btn level-remove';
+        removeBtn.textContent = '− Level';
+        removeBtn.disabled = editorState.levelCount <= 1;
+        removeBtn.addEventListener('click', function() {
+            const topLevel = editorState.levelCount - 1;
+            const roomsOnTop = Array.from(editorState.placedRooms.values())
+                .filter(room => room.level === topLevel).length;
+
+            if (roomsOnTop === 0 || confirm(`Remove level ${topLevel + 1} and its ${roomsOnTop} rooms?`)) {
+                removeLevel();
             }
+        });
+        switcher.appendChild(removeBtn);
+    }
 
-            console.log('📂 Room layout loaded');
+    /**
+     * Outline connectors on the levels directly above and below
+     * so matching connectors can be lined up
+     */
+    function renderLevelGuides() {
+        const guides = document.getElementById('level-guides');
+        if (!guides) return;
+
+        guides.innerHTML = '';
+
+        for (const roomInstance of editorState.placedRooms.values()) {
+            const levelOffset = roomInstance.level - editorState.currentLevel;
+            if (!roomInstance.roomData.verticalConnector || Math.abs(levelOffset) !== 1) continue;
+
+            const guide = document.createElement('div');
+            guide.className = 'level-guide ' + (levelOffset > 0 ? 'above' : 'below');
+            guide.style.left = roomInstance.position.x + 'px';
+            guide.style.top = roomInstance.position.y + 'px';
+            guide.style.width = roomInstance.dimensions.width + 'px';
+            guide.style.height = roomInstance.dimensions.height + 'px';
+            guide.textContent = `${levelOffset > 0 ? '↑' : '↓'} ${roomInstance.roomData.icon}`;
+            guide.title = `${roomInstance.roomData.name} on level ${roomInstance.level + 1}`;
+            guides.appendChild(guide);
+        }
+    }
+
+    /**
+     * Setup undo/redo history, restoring any history saved before a reload
+     */
+    function setupHistory() {
+        const history = editorState.history;
+        history.current = { levels: editorState.levelCount, rooms: serializeRoomLayout() };
+
+        try {
+            const saved = localStorage.getItem('spaceArchitects_layoutHistory');
+            if (saved) {
+                const savedHistory = JSON.parse(saved);
+                history.undoStack = Array.isArray(savedHistory.undoStack) ? savedHistory.undoStack.map(toHistoryEntry) : [];
+                history.redoStack = Array.isArray(savedHistory.redoStack) ? savedHistory.redoStack.map(toHistoryEntry) : [];
+            }
         } catch (error) {
-            console.error('❌ Failed to load room layout:', error);
+            console.error('❌ Failed to load layout history:', error);
+        }
+
+        // Toolbar buttons
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn && !undoBtn.hasAttribute('data-initialized')) {
+            undoBtn.addEventListener('click', undo);
+            undoBtn.setAttribute('data-initialized', 'true');
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn && !redoBtn.hasAttribute('data-initialized')) {
+            redoBtn.addEventListener('click', redo);
+            redoBtn.setAttribute('data-initialized', 'true');
+        }
+
+        // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo
+        if (!document.body.hasAttribute('data-history-shortcuts')) {
+            document.addEventListener('keydown', handleHistoryShortcut);
+            document.body.setAttribute('data-history-shortcuts', 'true');
+        }
+
+        updateHistoryButtons();
+        console.log('🕘 Layout history initialized');
+    }
+
+    /**
+     * History entry from a saved one; older histories stored only the rooms
+     */
+    function toHistoryEntry(entry) {
+        if (!Array.isArray(entry)) return entry;
+
+        const highestLevel = entry.reduce((highest, room) => Math.max(highest, room.level || 0), 0);
+        return { levels: highestLevel + 1, rooms: entry };
+    }
+
+    /**
+     * Handle undo/redo keyboard shortcuts
+     */
+    function handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        if (e.target.matches && e.target.matches('input, textarea, select')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        } else if (key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    }
+
+    /**
+     * Push the previous layout onto the undo stack when the rooms or
+     * the number of levels change
+     * @param {Object} entry - { levels, rooms }
+     */
+    function recordHistoryStep(entry) {
+        const history = editorState.history;
+        if (history.batchDepth > 0 || history.restoring) return;
+        if (JSON.stringify(entry) === JSON.stringify(history.current)) return;
+
+        history.undoStack.push(history.current);
+        if (history.undoStack.length > HISTORY_LIMIT) {
+            history.undoStack.shift();
+        }
+        history.redoStack = [];
+        history.current = entry;
+
+        saveLayoutHistory();
+        updateHistoryButtons();
+    }
+
+    /**
+     * Run several layout mutations as one undo step
+     */
+    function runAsSingleHistoryStep(action) {
+        editorState.history.batchDepth++;
+        try {
+            action();
+        } finally {
+            editorState.history.batchDepth--;
+        }
+
+        saveRoomLayout();
+    }
+
+    /**
+     * Undo the last layout change
+     */
+    function undo() {
+        const history = editorState.history;
+        if (history.undoStack.length === 0) return false;
+
+        history.redoStack.push(history.current);
+        history.current = history.undoStack.pop();
+        restoreRoomLayout(history.current);
+
+        console.log('↩️ Layout change undone');
+        return true;
+    }
+
+    /**
+     * Redo the last undone layout change
+     */
+    function redo() {
+        const history = editorState.history;
+        if (history.redoStack.length === 0) return false;
+
+        history.undoStack.push(history.current);
+        history.current = history.redoStack.pop();
+        restoreRoomLayout(history.current);
+
+        console.log('↪️ Layout change redone');
+        return true;
+    }
+
+    /**
+     * Replace the placed rooms and levels with a layout from the history
+     * @param {Object} entry - { levels, rooms }
+     */
+    function restoreRoomLayout(entry) {
+        const history = editorState.history;
+        history.restoring = true;
+
+        try {
+            clearRoomElements();
+
+            editorState.levelCount = entry.levels;
+            entry.rooms.forEach(addSavedRoom);
+            syncLevelCount();
+
+            // Update displays and validation
+            updateCanvasInfo();
+            validateCurrentLayout();
+            saveRoomLayout();
+        } finally {
+            history.restoring = false;
+        }
+
+        saveLayoutHistory();
+        updateHistoryButtons();
+    }
+
+    /**
+     * Persist the undo/redo stacks so they survive a page reload
+     */
+    function saveLayoutHistory() {
+        try {
+            const history = editorState.history;
+            localStorage.setItem('spaceArchitects_layoutHistory', JSON.stringify({
+                undoStack: history.undoStack,
+                redoStack: history.redoStack,
+                timestamp: Date.now()
+            }));
+        } catch (error) {
+            console.error('❌ Failed to save layout history:', error);
+        }
+    }
+
+    /**
+     * Enable or disable the undo/redo buttons
+     */
+    function updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+
+        if (undoBtn) {
+            undoBtn.disabled = editorState.history.undoStack.length === 0;
+        }
+        if (redoBtn) {
+            redoBtn.disabled = editorState.history.redoStack.length === 0;
         }
     }
 
@@ -1189,11 +3107,15 @@ const HabitatEditor = (function() {
                     roomType: room.roomType,
                     roomName: room.roomData.name,
                     position: room.position,
+                    orientation: room.orientation,
+                    level: room.level,
                     area: room.roomData.area,
                     volume: room.roomData.area * room.roomData.dimensions.height
                 })),
                 validation: editorState.validationResults,
                 complianceScore: editorState.complianceScore,
+                habitatScore: editorState.habitatScore,
+                levels: editorState.levelCount,
                 totalVolume: calculateTotalVolume(),
                 completedAt: new Date().toISOString()
             };
@@ -1205,6 +3127,136 @@ const HabitatEditor = (function() {
         }
     }
 
+    /**
+     * Download the current design as a versioned JSON file
+     */
+    function exportDesign() {
+        const designDocument = DesignFile.createDesignDocument({
+            missionConfig: editorState.missionConfig,
+            structureConfig: editorState.structureConfig,
+            rooms: getLayoutInMetres(),
+            levels: editorState.levelCount,
+            shielding: editorState.shielding,
+            power: editorState.power,
+            validation: {
+                checks: editorState.validationResults,
+                complianceScore: editorState.complianceScore,
+                habitatScore: editorState.habitatScore
+            }
+        });
+
+        DesignFile.downloadDesign(designDocument);
+        return designDocument;
+    }
+
+    /**
+     * Import a design file, replacing the current design after confirmation
+     */
+    function importDesign(file) {
+        DesignFile.readDesignFile(file, function(result) {
+            if (!result.valid) {
+                console.error('❌ Design import failed:', result.errors);
+                alert(`Could not import "${file.name}":\n\n• ` + result.errors.join('\n• '));
+                return;
+            }
+
+            if (!confirm(`Replace the current design with "${file.name}"?`)) return;
+
+            const rejected = applyDesign(result.design);
+            if (rejected.length > 0) {
+                console.error('❌ Design rooms rejected:', rejected);
+                alert(`Imported "${file.name}" without ${rejected.length} room(s) that lie off the floor or on top of another room:\n\n• ` +
+                    rejected.join('\n• '));
+            }
+
+            if (result.migratedFrom !== null) {
+                alert(`"${file.name}" was saved by an older version and has been converted to design format v${DesignFile.FORMAT_VERSION}.`);
+            }
+        });
+    }
+
+    /**
+     * Load a validated design document into the editor
+     * @returns {Array} Rooms left out because they lie off the floor or
+     *                  overlap another room, as descriptions for the user
+     */
+    function applyDesign(design) {
+        // Mission and structure settings go through their own modules
+        try {
+            localStorage.setItem('spaceArchitects_config', JSON.stringify(design.missionConfig));
+            localStorage.setItem('spaceArchitects_structure', JSON.stringify({
+                selectedStructureType: design.structureConfig.selectedStructureType,
+                selectedSize: design.structureConfig.selectedSize,
+                timestamp: Date.now()
+            }));
+        } catch (error) {
+            console.error('❌ Failed to store imported settings:', error);
+        }
+
+        MissionConfig.loadConfig();
+        StructurePage.loadStructureState();
+        editorState.missionConfig = MissionConfig.getCurrentConfig();
+        editorState.structureConfig = StructurePage.getStructureState();
+
+        updateMissionInfoDisplay();
+        updateCanvasForStructure();
+
+        // Shell and storm shelter from the file; files without them start from no shell
+        const shielding = design.shielding || { materials: {}, shelterRoom: null };
+        editorState.shielding = {
+            materials: { water: 0, polyethylene: 0, regolith: 0, ...shielding.materials },
+            shelterId: null
+        };
+        updateShieldingInputs();
+
+        // Generation the file changed; the rest follows the imported crew
+        editorState.power = { ...design.power };
+        updatePowerInputs();
+
+        // Replace the rooms as a single undoable step
+        const rejected = [];
+        runAsSingleHistoryStep(function() {
+            clearAllRooms();
+            editorState.levelCount = design.layout.levels || 1;
+
+            design.layout.rooms.forEach((room, index) => {
+                const roomSpec = getRoomSpec(room.type);
+                const instanceId = `${room.type}_${Date.now()}_${index}`;
+                const position = {
+                    x: MODULE_ORIGIN + Math.round(room.position.x * GRID_SCALE),
+                    y: MODULE_ORIGIN + Math.round(room.position.y * GRID_SCALE)
+                };
+                const dimensions = getRoomFootprint(roomSpec, room.orientation);
+
+                // Same floor and overlap check as a room dropped on the canvas
+                if (!isValidPlacement(position.x, position.y, dimensions.width, dimensions.height, null, room.level)) {
+                    rejected.push(`${roomSpec.name} at (${room.position.x}, ${room.position.y}) m on level ${room.level + 1}`);
+                    return;
+                }
+
+                if (index === shielding.shelterRoom) {
+                    editorState.shielding.shelterId = instanceId;
+                }
+
+                addSavedRoom({
+                    instanceId: instanceId,
+                    roomType: room.type,
+                    position: position,
+                    dimensions: dimensions,
+                    orientation: room.orientation,
+                    level: room.level
+                });
+            });
+
+            syncLevelCount();
+            updateCanvasInfo();
+            validateCurrentLayout();
+        });
+
+        console.log('📥 Design imported:', design.layout.rooms.length - rejected.length, 'rooms');
+        return rejected;
+    }
+
     /**
      * Utility function to update element text
      */
@@ -1219,20 +3271,82 @@ const HabitatEditor = (function() {
      * Show context menu for room options
      */
     function showRoomContextMenu(event, instanceId) {
-        // Simple implementation - could be enhanced with actual context menu
-        if (confirm('Remove this room?')) {
-            removeRoom(instanceId);
+        closeRoomContextMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'room-context-menu';
+        menu.style.left = event.clientX + 'px';
+        menu.style.top = event.clientY + 'px';
+
+        const actions = [
+            { label: '🔄 Rotate 90° (R)', handler: () => rotateRoom(instanceId) },
+            { label: '🛡️ Use as storm shelter', handler: () => designateStormShelter(instanceId) },
+            { label: '🗑️ Remove room', handler: () => removeRoom(instanceId) }
+        ];
+
+        actions.forEach(action => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'context-menu-item';
+            item.textContent = action.label;
+            item.addEventListener('click', function() {
+                closeRoomContextMenu();
+                action.handler();
+            });
+            menu.appendChild(item);
+        });
+
+        document.body.appendChild(menu);
+        editorState.contextMenu = menu;
+
+        // Close when clicking elsewhere or pressing Escape
+        document.addEventListener('mousedown', handleContextMenuDismiss);
+        document.addEventListener('keydown', handleContextMenuDismiss);
+    }
+
+    /**
+     * Close the context menu on outside click or Escape
+     */
+    function handleContextMenuDismiss(e) {
+        const menu = editorState.contextMenu;
+        if (e.type === 'keydown' && e.key !== 'Escape') return;
+        if (e.type === 'mousedown' && menu && menu.contains(e.target)) return;
+
+        closeRoomContextMenu();
+    }
+
+    /**
+     * Remove the room context menu if open
+     */
+    function closeRoomContextMenu() {
+        if (editorState.contextMenu && editorState.contextMenu.parentNode) {
+            editorState.contextMenu.parentNode.removeChild(editorState.contextMenu);
         }
+        editorState.contextMenu = null;
+
+        document.removeEventListener('mousedown', handleContextMenuDismiss);
+        document.removeEventListener('keydown', handleContextMenuDismiss);
     }
 
     // Public API
     return {
         initialize: initialize,
         placeRoom: placeRoom,
+        moveRoom: moveRoom,
+        rotateRoom: rotateRoom,
         removeRoom: removeRoom,
         clearAllRooms: clearAllRooms,
         generateAutoLayout: generateAutoLayout,
+        completeLayout: completeLayout,
+        undo: undo,
+        redo: redo,
+        addLevel: addLevel,
+        removeLevel: removeLevel,
+        switchLevel: switchLevel,
         validateCurrentLayout: validateCurrentLayout,
+        getLayoutInMetres: getLayoutInMetres,
+        exportDesign: exportDesign,
+        importDesign: importDesign,
         saveRoomLayout: saveRoomLayout,
         getEditorState: () => ({ ...editorState })
     };
@@ -0,0 +1,572 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - LAYOUT OPTIMIZER
+   NASA Space Apps Challenge Project
+
+   Generates room layouts by simulated annealing. Rooms are placed on the
+   editor's 1 m grid inside the real floor outline of the structure and
+   scored against the editor's noise, adjacency and zoning checks, the
+   destination dust lock rule and the distance and adjacency rules of the
+   room registry. The airlock and life support are placed first and never
+   given up for other rooms, and a layout without an exit is penalised;
+   egress routes and shielding are not part of the score. Locked rooms
+   stay where they are and only the remaining rooms are arranged around
+   them. The same seed always produces the same layout.
+   ========================================================================== */
+
+const LayoutOptimizer = (function() {
+    'use strict';
+
+    // Placement grid (m), matching the editor's snap grid
+    const GRID_SIZE = 1;
+
+    // Default number of annealing steps
+    const DEFAULT_ITERATIONS = 4000;
+
+    // Annealing temperature schedule (energy units)
+    const START_TEMPERATURE = 25;
+    const END_TEMPERATURE = 0.1;
+
+    // Room pairs that must not share a wall (editor adjacency check)
+    const FORBIDDEN_ADJACENCY = [['galley', 'hygiene']];
+
+    // Room pairs that must share a wall (destination dust lock rule); only
+    // applies when the second room type is part of the layout
+    const REQUIRED_ADJACENCY = [['airlock', 'dust_lock']];
+
+    // Rooms the habitat cannot work without: placed first and never
+    // evicted to make space for another room
+    const HARD_REQUIREMENTS = ['airlock', 'life_support'];
+
+    // Room types that are exits (see CirculationAnalysis)
+    const EXIT_TYPES = ['airlock'];
+
+    // Gap still counted as a shared wall (m)
+    const WALL_TOLERANCE = 0.25;
+
+    // Energy penalties; lower energy is a better layout
+    const PENALTY = {
+        unplaced: 100,
+        noExit: 500,
+        noise: 40,
+        noisePerDb: 2,
+        adjacency: 40,
+        dustLock: 100,
+        zoneSplit: 60
+    };
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * @param {number} seed - 32-bit integer seed
+     * @returns {Function} Returns numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generate an optimized layout
+     * @param {Object} options - roomCounts {type: count}, floorPlan or moduleDimensions,
+     *                           lockedRooms [{type, position, dimensions, orientation}],
+     *                           seed, iterations
+     * @returns {Object} { seed, energy, rooms, unplaced } with rooms in metres;
+     *                   locked rooms are not included in rooms
+     */
+    function optimizeLayout(options) {
+        const seed = (options.seed >>> 0);
+        const random = createRandom(seed);
+        const plan = options.floorPlan || {
+            shape: 'rectangle',
+            width: options.moduleDimensions.width,
+            length: options.moduleDimensions.length
+        };
+        const iterations = options.iterations || DEFAULT_ITERATIONS;
+
+        const lockedRooms = (options.lockedRooms || []).map(createLockedRoom).filter(Boolean);
+        const movableRooms = expandRoomCounts(options.roomCounts);
+        const rooms = lockedRooms.concat(movableRooms);
+        assignUnplacedPenalties(movableRooms);
+        const candidateCache = {};
+
+        // Start from a tight packing so as many rooms as possible fit
+        movableRooms.forEach(room => placePacked(room, rooms, plan, candidateCache));
+
+        let energy = layoutEnergy(rooms);
+        let best = { energy: energy, rooms: rooms.map(room => ({ ...room })) };
+
+        const cooling = Math.pow(END_TEMPERATURE / START_TEMPERATURE, 1 / iterations);
+        let temperature = START_TEMPERATURE;
+
+        for (let step = 0; step < iterations && movableRooms.length > 0; step++, temperature *= cooling) {
+            const room = movableRooms[Math.floor(random() * movableRooms.length)];
+            const previous = movableRooms.map(r => ({ ...r }));
+            const restore = () => movableRooms.forEach((r, index) => Object.assign(r, previous[index]));
+
+            if (!proposeMove(room, rooms, movableRooms, plan, candidateCache, random)) {
+                restore();
+                continue;
+            }
+
+            const candidateEnergy = layoutEnergy(rooms);
+            const delta = candidateEnergy - energy;
+
+            // Metropolis acceptance: always take improvements, sometimes take worse layouts
+            if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+                energy = candidateEnergy;
+                if (energy < best.energy) {
+                    best = { energy: energy, rooms: rooms.map(r => ({ ...r })) };
+                }
+            } else {
+                restore();
+            }
+        }
+
+        console.log(`🧩 Layout optimized (seed ${seed}): energy ${best.energy.toFixed(1)}`);
+
+        return {
+            seed: seed,
+            energy: best.energy,
+            rooms: best.rooms.filter(room => room.placed && !room.locked).map(room => ({
+                type: room.type,
+                position: { x: room.x, y: room.y },
+                dimensions: { width: room.width, length: room.length },
+                orientation: room.orientation
+            })),
+            unplaced: best.rooms.filter(room => !room.placed).map(room => room.type)
+        };
+    }
+
+    /**
+     * Turn room counts into individual rooms, by priority and then size
+     */
+    function expandRoomCounts(roomCounts) {
+        const rooms = [];
+
+        Object.entries(roomCounts).forEach(([type, count]) => {
+            const spec = RoomsManager.getRoomById(type);
+            if (!spec) return;
+
+            for (let i = 0; i < count; i++) {
+                rooms.push({
+                    type: type,
+                    spec: spec,
+                    placed: false,
+                    x: 0,
+                    y: 0,
+                    width: spec.dimensions.width,
+                    length: spec.dimensions.length,
+                    orientation: 0
+                });
+            }
+        });
+
+        // Hard requirements, essential, then destination rooms, and larger
+        // rooms, claim space before the others
+        return rooms.sort((a, b) => (getPriority(b) - getPriority(a)) || (b.spec.area - a.spec.area));
+    }
+
+    /**
+     * Wrap an existing placement as a room the optimizer may not move
+     */
+    function createLockedRoom(placement) {
+        const spec = RoomsManager.getRoomById(placement.type);
+        if (!spec) return null;
+
+        return {
+            type: placement.type,
+            spec: spec,
+            placed: true,
+            locked: true,
+            x: placement.position.x,
+            y: placement.position.y,
+            width: placement.dimensions.width,
+            length: placement.dimensions.length,
+            orientation: placement.orientation || 0
+        };
+    }
+
+    /**
+     * Placement priority: hard requirements and the rooms they must share
+     * a wall with, the rest of the registry's essential category, rooms the
+     * destination rules add, then the others
+     */
+    function getPriority(room) {
+        if (isHardRequirement(room)) return 3;
+        if (room.spec.category === 'essential') return 2;
+        if (room.spec.category === 'destination') return 1;
+        return 0;
+    }
+
+    function isHardRequirement(room) {
+        return HARD_REQUIREMENTS.includes(room.type) || REQUIRED_ADJACENCY.some(([first, second]) =>
+            room.type === second && HARD_REQUIREMENTS.includes(first));
+    }
+
+    /**
+     * Energy of leaving each room out of the layout: more than all rooms of
+     * lower rank together, so no number of smaller rooms can make up for a
+     * room that is left out. Rooms rank by priority, then the first room of
+     * each type above further rooms of any type, then by size.
+     */
+    function assignUnplacedPenalties(rooms) {
+        const rank = room => getPriority(room) * 1000 +
+            (rooms.find(other => other.type === room.type) === room ? 500 : 0) + room.spec.area;
+        const ranks = [...new Set(rooms.map(rank))].sort((a, b) => a - b);
+        let lowerRankTotal = 0;
+
+        ranks.forEach(value => {
+            const tier = rooms.filter(room => rank(room) === value);
+            tier.forEach(room => {
+                room.unplacedPenalty = PENALTY.unplaced + lowerRankTotal;
+            });
+            lowerRankTotal += tier.length * (PENALTY.unplaced + lowerRankTotal);
+        });
+    }
+
+    /**
+     * Footprint of a room at an orientation (m)
+     */
+    function getFootprint(spec, orientation) {
+        return orientation === 90
+            ? { width: spec.dimensions.length, length: spec.dimensions.width }
+            : { width: spec.dimensions.width, length: spec.dimensions.length };
+    }
+
+    /**
+     * Grid positions where a room fits on the floor, ignoring other rooms
+     */
+    function getCandidates(room, orientation, plan, candidateCache) {
+        const key = `${room.type}@${orientation}`;
+
+        if (!candidateCache[key]) {
+            const footprint = getFootprint(room.spec, orientation);
+            const positions = [];
+
+            for (let y = 0; y + footprint.length <= plan.length + 1e-9; y += GRID_SIZE) {
+                for (let x = 0; x + footprint.width <= plan.width + 1e-9; x += GRID_SIZE) {
+                    if (fitsFloor(plan, x, y, footprint)) {
+                        positions.push({ x: x, y: y });
+                    }
+                }
+            }
+
+            candidateCache[key] = positions;
+        }
+
+        return candidateCache[key];
+    }
+
+    /**
+     * Check a footprint lies on the usable floor of the structure
+     */
+    function fitsFloor(plan, x, y, footprint) {
+        return StructurePage.containsFootprint(plan, x, y, footprint.width, footprint.length);
+    }
+
+    /**
+     * Check a room overlaps any other placed room
+     */
+    function overlapsOthers(room, rooms) {
+        return rooms.some(other => other !== room && other.placed && RoomsManager.checkRoomOverlap(
+            { x: room.x, y: room.y, width: room.width, length: room.length },
+            { x: other.x, y: other.y, width: other.width, length: other.length }
+        ));
+    }
+
+    /**
+     * Put a room in the free grid position, in either orientation, that
+     * takes the fewest positions from the rooms still to be placed, nearest
+     * the centre of the floor on ties so round plans fill from the middle.
+     * A room of a required pair goes beside its placed partner if it can.
+     */
+    function placePacked(room, rooms, plan, candidateCache) {
+        const waiting = rooms.filter(other => other !== room && !other.placed);
+        const partners = rooms.filter(other => other !== room && other.placed && isPairedWith(room, other));
+        let best = null;
+
+        for (const orientation of getOrientations(room.spec)) {
+            const footprint = getFootprint(room.spec, orientation);
+
+            for (const position of getCandidates(room, orientation, plan, candidateCache)) {
+                Object.assign(room, { x: position.x, y: position.y, orientation: orientation, placed: true }, footprint);
+                if (overlapsOthers(room, rooms)) continue;
+
+                const joined = partners.some(partner => getGap(room, partner) < GRID_SIZE);
+                if (best && best.joined && !joined) continue;
+
+                const centreDistance = Math.hypot(
+                    room.x + room.width / 2 - plan.width / 2, room.y + room.length / 2 - plan.length / 2);
+                const score = countBlockedPositions(room, waiting, rooms, plan, candidateCache) +
+                    centreDistance / (plan.width + plan.length);
+
+                if (!best || (joined && !best.joined) || score < best.score) {
+                    best = { score: score, joined: joined, x: room.x, y: room.y, orientation: orientation };
+                }
+            }
+        }
+
+        if (!best) {
+            room.placed = false;
+            return false;
+        }
+
+        Object.assign(room, { x: best.x, y: best.y, orientation: best.orientation, placed: true },
+            getFootprint(room.spec, best.orientation));
+        return true;
+    }
+
+    /**
+     * Free positions of the waiting room types that a placed room covers
+     */
+    function countBlockedPositions(room, waiting, rooms, plan, candidateCache) {
+        const counted = new Set();
+        let blocked = 0;
+
+        waiting.forEach(other => getOrientations(other.spec).forEach(orientation => {
+            const key = `${other.type}@${orientation}`;
+            if (counted.has(key)) return;
+            counted.add(key);
+
+            const footprint = getFootprint(other.spec, orientation);
+            getCandidates(other, orientation, plan, candidateCache).forEach(position => {
+                const candidate = { x: position.x, y: position.y, placed: true, ...footprint };
+                if (overlapsOthers(candidate, [room]) && !overlapsOthers(candidate, rooms.filter(item => item !== room))) {
+                    blocked++;
+                }
+            });
+        }));
+
+        return blocked;
+    }
+
+    /**
+     * Orientations worth trying for a room (square rooms only need one)
+     */
+    function getOrientations(spec) {
+        return spec.dimensions.width === spec.dimensions.length ? [0] : [0, 90];
+    }
+
+    /**
+     * Move one room: a one-cell nudge, a jump to a random free position,
+     * a jump beside a room it belongs with, or, for a room that did not fit,
+     * taking the place of another room
+     * Returns false when the proposed layout is not usable
+     */
+    function proposeMove(room, rooms, movableRooms, plan, candidateCache, random) {
+        const orientations = getOrientations(room.spec);
+        const partners = rooms.filter(other => other !== room && other.placed && belongsWith(room, other));
+
+        if (!room.placed && random() < 0.5) {
+            // Exchange: the unplaced room takes over a placed room's corner;
+            // hard requirements are never evicted
+            const placed = movableRooms.filter(other => other.placed && !isHardRequirement(other));
+            if (placed.length === 0) return false;
+
+            const other = placed[Math.floor(random() * placed.length)];
+            const orientation = orientations[Math.floor(random() * orientations.length)];
+            other.placed = false;
+            Object.assign(room, { x: other.x, y: other.y, orientation: orientation, placed: true },
+                getFootprint(room.spec, orientation));
+
+            if (!fitsFloor(plan, room.x, room.y, room)) return false;
+        } else if (room.placed && random() < 0.5) {
+            // Nudge to a neighbouring cell
+            const direction = Math.floor(random() * 4);
+            room.x += [GRID_SIZE, -GRID_SIZE, 0, 0][direction];
+            room.y += [0, 0, GRID_SIZE, -GRID_SIZE][direction];
+
+            if (!fitsFloor(plan, room.x, room.y, room)) return false;
+        } else if (partners.length > 0 && random() < 0.5) {
+            // Join: jump to a position beside a room of the same block
+            const partner = partners[Math.floor(random() * partners.length)];
+            const orientation = orientations[Math.floor(random() * orientations.length)];
+            const footprint = getFootprint(room.spec, orientation);
+            const candidates = getCandidates(room, orientation, plan, candidateCache)
+                .filter(position => getGap({ x: position.x, y: position.y, ...footprint }, partner) < GRID_SIZE);
+            if (candidates.length === 0) return false;
+
+            const position = candidates[Math.floor(random() * candidates.length)];
+            Object.assign(room, { x: position.x, y: position.y, orientation: orientation, placed: true }, footprint);
+        } else {
+            // Jump to a random feasible position, possibly rotated
+            const orientation = orientations[Math.floor(random() * orientations.length)];
+            const candidates = getCandidates(room, orientation, plan, candidateCache);
+            if (candidates.length === 0) return false;
+
+            const position = candidates[Math.floor(random() * candidates.length)];
+            Object.assign(room, { x: position.x, y: position.y, orientation: orientation, placed: true },
+                getFootprint(room.spec, orientation));
+        }
+
+        return !overlapsOthers(room, rooms);
+    }
+
+    /**
+     * Score a layout; lower is better
+     */
+    function layoutEnergy(rooms) {
+        const placed = rooms.filter(room => room.placed);
+        let energy = getUnplacedEnergy(rooms);
+
+        // Editor egress check: the crew needs an exit to evacuate through
+        if (!placed.some(room => EXIT_TYPES.includes(room.type))) {
+            energy += PENALTY.noExit;
+        }
+
+        const centres = placed.map(room => ({
+            type: room.type,
+            position: { x: room.x + room.width / 2, y: room.y + room.length / 2 }
+        }));
+
+        // Registry distance and adjacency rules (a positive score is good)
+        centres.forEach((centre, index) => {
+            const others = centres.filter((_, otherIndex) => otherIndex !== index);
+            energy -= RoomsManager.validateRoomPlacement(centre.type, centre.position, others).score;
+        });
+
+        // Editor noise check: rooms above their NASA limit, worse the louder they are
+        const layout = placed.map(toLayoutRoom);
+        AcousticModel.analyzeNoise({ rooms: layout }).rooms
+            .filter(room => room.status === 'fail')
+            .forEach(room => {
+                energy += PENALTY.noise + (room.receivedDb - room.limitDb) * PENALTY.noisePerDb;
+            });
+
+        // Editor zoning check: zones that must not share a wall, and blocks of
+        // a contiguous zone beyond the first
+        const zoning = ZoningModel.analyzeZones({ rooms: layout });
+        energy += zoning.conflicts.length * PENALTY.adjacency;
+        zoning.zones
+            .filter(item => ZoningModel.ZONES[item.zone].contiguous)
+            .forEach(item => {
+                energy += (item.blocks.length - 1) * PENALTY.zoneSplit;
+            });
+
+        // Destination dust lock rule: a wall shared with a room of the pair,
+        // and no second room of a pair left without its first
+        REQUIRED_ADJACENCY.forEach(([first, second]) => {
+            if (!rooms.some(room => room.type === second)) return;
+
+            placed.forEach((room, index) => {
+                if (room.type !== first && room.type !== second) return;
+
+                const partnerType = room.type === first ? second : first;
+                const joined = placed.some((other, otherIndex) =>
+                    other.type === partnerType && ZoningModel.sharesWall(layout[index], layout[otherIndex]));
+                if (!joined && (room.type === first || !placed.some(other => other.type === first))) {
+                    energy += PENALTY.dustLock;
+                }
+            });
+        });
+
+        // Editor adjacency check
+        for (let i = 0; i < placed.length; i++) {
+            for (let j = i + 1; j < placed.length; j++) {
+                const a = placed[i];
+                const b = placed[j];
+
+                const forbidden = FORBIDDEN_ADJACENCY.some(([first, second]) =>
+                    (a.type === first && b.type === second) || (a.type === second && b.type === first));
+                if (forbidden && shareWall(a, b)) {
+                    energy += PENALTY.adjacency;
+                }
+            }
+        }
+
+        return energy;
+    }
+
+    /**
+     * Energy of the unplaced rooms; rooms of one type are interchangeable,
+     * so the missing ones count as the last rooms of their type
+     */
+    function getUnplacedEnergy(rooms) {
+        const penalties = {};
+        const missing = {};
+
+        rooms.filter(room => !room.locked).forEach(room => {
+            (penalties[room.type] = penalties[room.type] || []).push(room.unplacedPenalty);
+            missing[room.type] = (missing[room.type] || 0) + (room.placed ? 0 : 1);
+        });
+
+        return Object.keys(penalties).reduce((sum, type) => sum + penalties[type]
+            .sort((a, b) => a - b)
+            .slice(0, missing[type])
+            .reduce((total, penalty) => total + penalty, 0), 0);
+    }
+
+    /**
+     * Rooms that should be placed together: rooms of one contiguous zone,
+     * or a pair that must share a wall
+     */
+    function belongsWith(room, other) {
+        if (isPairedWith(room, other)) return true;
+
+        const zone = ZoningModel.getZone(room.type);
+        return zone !== null && ZoningModel.ZONES[zone].contiguous && ZoningModel.getZone(other.type) === zone;
+    }
+
+    /**
+     * Rooms of a pair that must share a wall
+     */
+    function isPairedWith(room, other) {
+        return REQUIRED_ADJACENCY.some(([first, second]) =>
+            (room.type === first && other.type === second) || (room.type === second && other.type === first));
+    }
+
+    /**
+     * Shortest gap between two room rectangles (0 when touching)
+     */
+    function getGap(a, b) {
+        const dx = Math.max(0, a.x - (b.x + b.width), b.x - (a.x + a.width));
+        const dy = Math.max(0, a.y - (b.y + b.length), b.y - (a.y + a.length));
+        return Math.hypot(dx, dy);
+    }
+
+    /**
+     * A room in the metres layout format of the editor's analyses
+     */
+    function toLayoutRoom(room, index) {
+        return {
+            id: index,
+            type: room.type,
+            position: { x: room.x, y: room.y },
+            dimensions: { width: room.width, length: room.length },
+            level: 0
+        };
+    }
+
+    /**
+     * Check whether two rooms share a wall
+     */
+    function shareWall(a, b) {
+        const overlapX = a.x < b.x + b.width && b.x < a.x + a.width;
+        const overlapY = a.y < b.y + b.length && b.y < a.y + a.length;
+
+        const touchX = Math.abs(a.x + a.width - b.x) <= WALL_TOLERANCE ||
+                       Math.abs(b.x + b.width - a.x) <= WALL_TOLERANCE;
+        const touchY = Math.abs(a.y + a.length - b.y) <= WALL_TOLERANCE ||
+                       Math.abs(b.y + b.length - a.y) <= WALL_TOLERANCE;
+
+        return (touchX && overlapY) || (touchY && overlapX);
+    }
+
+    // Public API
+    return {
+        optimizeLayout: optimizeLayout,
+        createRandom: createRandom
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.LayoutOptimizer = LayoutOptimizer;
+}
+
+console.log('🧩 Layout optimizer module loaded successfully');
@@ -0,0 +1,138 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - POWER BUDGET
+   NASA Space Apps Challenge Project
+
+   Sums the nominal and peak electrical loads of the placed rooms and
+   checks them against the chosen generation: a solar array derated for
+   the destination, fission surface power and batteries. The worst case
+   is the night, after a day of reduced sunlight during a dust storm on
+   Mars; the batteries must carry whatever fission cannot.
+   ========================================================================== */
+
+const PowerBudget = (function() {
+    'use strict';
+
+    // Solar cell efficiency including wiring and pointing losses
+    const SOLAR_EFFICIENCY = 0.25;
+
+    // Average output over the day as the sun rises and sets, relative to noon
+    const DAYLIGHT_AVERAGE = 2 / Math.PI;
+
+    // Share of battery capacity usable without damaging the cells
+    const DEPTH_OF_DISCHARGE = 0.8;
+
+    // Power the batteries can deliver per kWh of capacity (kW/kWh)
+    const BATTERY_POWER_RATIO = 0.5;
+
+    // Share of the rooms' load surges that happen at the same time
+    const PEAK_DIVERSITY = 0.5;
+
+    /**
+     * Generation to start from: fission sized to the NASA allowance
+     * of powerPerPerson for each crew member
+     * @param {Object} missionConfig - crewSize
+     * @returns {Object} { solarArea (m²), fission (kW), battery (kWh) }
+     */
+    function getDefaultGeneration(missionConfig) {
+        return {
+            solarArea: 0,
+            fission: getAllowance(missionConfig.crewSize),
+            battery: 0
+        };
+    }
+
+    /**
+     * NASA power allowance for the crew (kW)
+     */
+    function getAllowance(crewSize) {
+        return crewSize * NASA_STANDARDS.MODULE.lifeSupport.powerPerPerson;
+    }
+
+    /**
+     * Nominal and peak load of the rooms (kW)
+     * @param {Array} rooms - Rooms with a type
+     * @returns {Object} { nominal, peak }
+     */
+    function calculateLoads(rooms) {
+        const totals = rooms.reduce((sum, room) => {
+            const spec = RoomsManager.getRoomById(room.type);
+            const power = (spec && spec.power) || { nominal: 0, peak: 0 };
+            return { nominal: sum.nominal + power.nominal, surge: sum.surge + power.peak - power.nominal };
+        }, { nominal: 0, surge: 0 });
+
+        return {
+            nominal: totals.nominal,
+            peak: totals.nominal + totals.surge * PEAK_DIVERSITY
+        };
+    }
+
+    /**
+     * Check the habitat can be powered through the worst-case night
+     * @param {Object} options - rooms, missionConfig, generation { solarArea, fission, battery }
+     * @returns {Object} { status, message, issues, loads, allowance, solar, worstCase }
+     */
+    function analyzePower(options) {
+        const pack = DestinationRules.getRulePack(options.missionConfig.missionType);
+        const destination = pack ? pack.standards : { solarIrradiance: 0, nightLength: 12, dustStormDerating: 1 };
+        const generation = options.generation;
+        const loads = calculateLoads(options.rooms);
+        const issues = [];
+
+        const solarNoon = generation.solarArea * destination.solarIrradiance * SOLAR_EFFICIENCY;
+        const solarWorstDay = solarNoon * DAYLIGHT_AVERAGE * destination.dustStormDerating;
+        const dustStorm = destination.dustStormDerating < 1;
+
+        // Night: fission runs on, the batteries carry the rest
+        const nightHours = destination.nightLength;
+        const nightDeficit = Math.max(0, loads.nominal - generation.fission);
+        const batteryNeeded = nightDeficit * nightHours / DEPTH_OF_DISCHARGE;
+        if (generation.battery < batteryNeeded) {
+            issues.push(`Batteries ${Math.round(generation.battery)} / ${Math.ceil(batteryNeeded)} kWh for the ${nightHours} h night`);
+        }
+
+        // Day (as long as the night): run the habitat and recharge the batteries
+        const dayNeeded = loads.nominal + nightDeficit;
+        const dayGeneration = generation.fission + solarWorstDay;
+        if (dayGeneration < dayNeeded) {
+            issues.push(`Daytime generation ${dayGeneration.toFixed(1)} / ${dayNeeded.toFixed(1)} kW` +
+                (dustStorm ? ' in a dust storm' : ''));
+        }
+
+        // Peak at night, without the sun
+        const nightPower = generation.fission + generation.battery * BATTERY_POWER_RATIO;
+        if (loads.peak > nightPower) {
+            issues.push(`Peak load ${loads.peak.toFixed(1)} kW above ${nightPower.toFixed(1)} kW at night`);
+        }
+
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            message: issues.length === 0
+                ? `${loads.nominal.toFixed(1)} kW nominal, ${loads.peak.toFixed(1)} kW peak covered`
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : ''),
+            issues: issues,
+            loads: loads,
+            allowance: getAllowance(options.missionConfig.crewSize),
+            solar: { noon: solarNoon, worstDay: solarWorstDay },
+            worstCase: {
+                name: dustStorm ? 'Dust storm night' : 'Night',
+                hours: nightHours,
+                batteryNeeded: batteryNeeded
+            }
+        };
+    }
+
+    // Public API
+    return {
+        getDefaultGeneration: getDefaultGeneration,
+        getAllowance: getAllowance,
+        calculateLoads: calculateLoads,
+        analyzePower: analyzePower
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PowerBudget = PowerBudget;
+}
+
+console.log('⚡ Power budget loaded successfully');
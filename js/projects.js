@@ -0,0 +1,468 @@
+/*
+===============================================================================
+SPACE ARCHITECTS - PROJECT MANAGER
+NASA Space Apps Challenge Project
+
+This module keeps several named habitat projects in one browser:
+- Create, rename, duplicate, delete and switch projects
+- Each project bundles mission config, structure choice and room layout
+- Project list on the welcome page
+
+The active project is edited through the usual working keys
+(spaceArchitects_config, spaceArchitects_structure, ...); the other
+projects are stored as snapshots of those keys in spaceArchitects_projects.
+===============================================================================
+*/
+
+const ProjectManager = (function() {
+    'use strict';
+
+    // Storage key holding every project slot
+    const STORAGE_KEY = 'spaceArchitects_projects';
+
+    // Working keys that make up one habitat project
+    const PROJECT_KEYS = [
+        'spaceArchitects_config',
+        'spaceArchitects_structure',
+        'spaceArchitects_roomLayout',
+        'spaceArchitects_layoutHistory',
+        'spaceArchitects_finalDesign'
+    ];
+
+    // Project store: { activeProjectId, projects: [{ id, name, createdAt, updatedAt, data }] }
+    let store = {
+        activeProjectId: null,
+        projects: []
+    };
+
+    // Project to load on the next page reload, set while switching
+    let pendingProjectId = null;
+
+    /**
+     * Initialize the project manager
+     */
+    function initialize() {
+        loadStore();
+
+        // Adopt whatever is already in the working keys as the first project
+        if (store.projects.length === 0) {
+            const project = createProjectRecord('Habitat Project 1', readWorkingData());
+            store.projects.push(project);
+            store.activeProjectId = project.id;
+            saveStore();
+        }
+
+        if (!getActiveProject()) {
+            store.activeProjectId = store.projects[0].id;
+            saveStore();
+        }
+
+        setupProjectControls();
+        renderProjectList();
+
+        console.log('📁 Project manager initialized:', getActiveProject().name);
+    }
+
+    /**
+     * Load the project store from localStorage
+     */
+    function loadStore() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                store = {
+                    activeProjectId: parsed.activeProjectId || null,
+                    projects: Array.isArray(parsed.projects) ? parsed.projects : []
+                };
+            }
+        } catch (error) {
+            console.error('❌ Failed to load projects:', error);
+        }
+    }
+
+    /**
+     * Save the project store to localStorage
+     */
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        } catch (error) {
+            console.error('❌ Failed to save projects:', error);
+        }
+    }
+
+    /**
+     * Read the working keys into a project data snapshot
+     */
+    function readWorkingData() {
+        const data = {};
+        PROJECT_KEYS.forEach(key => {
+            data[key] = localStorage.getItem(key);
+        });
+        return data;
+    }
+
+    /**
+     * Write a project data snapshot into the working keys
+     */
+    function writeWorkingData(data) {
+        PROJECT_KEYS.forEach(key => {
+            if (data && data[key] != null) {
+                localStorage.setItem(key, data[key]);
+            } else {
+                localStorage.removeItem(key);
+            }
+        });
+    }
+
+    /**
+     * Build a new project record
+     */
+    function createProjectRecord(name, data) {
+        const now = Date.now();
+        return {
+            id: `project_${now}_${Math.random().toString(36).slice(2, 7)}`,
+            name: name,
+            createdAt: now,
+            updatedAt: now,
+            data: data || {}
+        };
+    }
+
+    /**
+     * Find a project by id
+     */
+    function findProject(projectId) {
+        return store.projects.find(project => project.id === projectId) || null;
+    }
+
+    /**
+     * Get the currently active project
+     */
+    function getActiveProject() {
+        return findProject(store.activeProjectId);
+    }
+
+    /**
+     * Copy the working keys into the active project's slot
+     */
+    function syncActiveProject() {
+        const active = getActiveProject();
+        if (!active) return;
+
+        const data = readWorkingData();
+        if (JSON.stringify(data) !== JSON.stringify(active.data)) {
+            active.data = data;
+            active.updatedAt = Date.now();
+        }
+        saveStore();
+    }
+
+    /**
+     * Get a summary list of all projects
+     */
+    function listProjects() {
+        syncActiveProject();
+
+        return store.projects.map(project => ({
+            id: project.id,
+            name: project.name,
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt,
+            active: project.id === store.activeProjectId,
+            summary: summarizeProject(project)
+        }));
+    }
+
+    /**
+     * Describe a project's mission, structure and room count
+     */
+    function summarizeProject(project) {
+        const parse = key => {
+            try {
+                return project.data[key] ? JSON.parse(project.data[key]) : null;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const config = parse('spaceArchitects_config');
+        const structure = parse('spaceArchitects_structure');
+        const layout = parse('spaceArchitects_roomLayout');
+
+        return {
+            missionType: config ? config.missionType : null,
+            crewSize: config ? config.crewSize : null,
+            duration: config ? config.duration : null,
+            structureType: structure ? structure.selectedStructureType : null,
+            structureSize: structure ? structure.selectedSize : null,
+            roomCount: layout && Array.isArray(layout.rooms) ? layout.rooms.length : 0
+        };
+    }
+
+    /**
+     * Create an empty project and make it active
+     */
+    function createProject(name) {
+        const projectName = (name || '').trim() || `Habitat Project ${store.projects.length + 1}`;
+        const project = createProjectRecord(projectName, {});
+
+        syncActiveProject();
+        store.projects.push(project);
+        saveStore();
+
+        console.log('✅ Project created:', projectName);
+        switchProject(project.id);
+        return project;
+    }
+
+    /**
+     * Rename a project
+     */
+    function renameProject(projectId, name) {
+        const project = findProject(projectId);
+        const projectName = (name || '').trim();
+        if (!project || !projectName) return false;
+
+        project.name = projectName;
+        project.updatedAt = Date.now();
+        saveStore();
+        renderProjectList();
+
+        console.log('✏️ Project renamed:', projectName);
+        return true;
+    }
+
+    /**
+     * Duplicate a project into a new, inactive slot
+     */
+    function duplicateProject(projectId) {
+        syncActiveProject();
+
+        const source = findProject(projectId);
+        if (!source) return null;
+
+        const copy = createProjectRecord(`${source.name} (copy)`, { ...source.data });
+        store.projects.push(copy);
+        saveStore();
+        renderProjectList();
+
+        console.log('📄 Project duplicated:', copy.name);
+        return copy;
+    }
+
+    /**
+     * Delete a project, switching away if it was active
+     */
+    function deleteProject(projectId) {
+        const index = store.projects.findIndex(project => project.id === projectId);
+        if (index === -1) return false;
+
+        const wasActive = projectId === store.activeProjectId;
+        const [removed] = store.projects.splice(index, 1);
+
+        // Always keep at least one project around
+        if (store.projects.length === 0) {
+            store.projects.push(createProjectRecord('Habitat Project 1', {}));
+        }
+
+        console.log('🗑️ Project deleted:', removed.name);
+
+        if (wasActive) {
+            store.activeProjectId = null;
+            saveStore();
+            activateProject(store.projects[0].id);
+        } else {
+            saveStore();
+            renderProjectList();
+        }
+        return true;
+    }
+
+    /**
+     * Make another project active
+     */
+    function switchProject(projectId) {
+        if (!findProject(projectId)) return false;
+        if (projectId === store.activeProjectId) return true;
+
+        syncActiveProject();
+        activateProject(projectId);
+        return true;
+    }
+
+    /**
+     * Load a project's data into the working keys and reload the app
+     */
+    function activateProject(projectId) {
+        const project = findProject(projectId);
+        store.activeProjectId = projectId;
+        saveStore();
+        writeWorkingData(project.data);
+
+        console.log('🔀 Switched to project:', project.name);
+
+        // Reload so every module starts from the new project's data
+        pendingProjectId = projectId;
+        window.location.reload();
+    }
+
+    /**
+     * Keep the project slots in step with the working keys on unload
+     */
+    function handleBeforeUnload() {
+        if (pendingProjectId) {
+            // Other unload handlers save their in-memory state to the working
+            // keys; put the newly activated project's data back on top
+            writeWorkingData(findProject(pendingProjectId).data);
+            return;
+        }
+
+        syncActiveProject();
+    }
+
+    /**
+     * Setup the new-project button on the welcome page
+     */
+    function setupProjectControls() {
+        const newProjectBtn = document.getElementById('new-project-btn');
+        if (newProjectBtn && !newProjectBtn.hasAttribute('data-initialized')) {
+            newProjectBtn.addEventListener('click', function() {
+                const name = prompt('Name for the new habitat project:', `Habitat Project ${store.projects.length + 1}`);
+                if (name !== null) {
+                    createProject(name);
+                }
+            });
+            newProjectBtn.setAttribute('data-initialized', 'true');
+        }
+    }
+
+    /**
+     * Render the project list on the welcome page
+     */
+    function renderProjectList() {
+        const listElement = document.getElementById('project-list');
+        if (!listElement) return;
+
+        listElement.innerHTML = '';
+
+        listProjects().forEach(project => {
+            const item = document.createElement('li');
+            item.className = 'project-item' + (project.active ? ' active' : '');
+            item.dataset.projectId = project.id;
+
+            item.innerHTML = `
+                <div class="project-info">
+                    <div class="project-name"></div>
+                    <div class="project-summary">${formatSummary(project.summary)}</div>
+                    <div class="project-updated">Updated ${new Date(project.updatedAt).toLocaleString()}</div>
+                </div>
+                <div class="project-actions">
+                    <button type="button" class="btn--sm" data-action="open">${project.active ? 'Continue' : 'Open'}</button>
+                    <button type="button" class="btn--sm" data-action="rename">Rename</button>
+                    <button type="button" class="btn--sm" data-action="duplicate">Duplicate</button>
+                    <button type="button" class="btn--sm" data-action="delete">Delete</button>
+                </div>
+            `;
+
+            // Set as text so user-entered names are never parsed as HTML
+            item.querySelector('.project-name').textContent = project.active
+                ? `${project.name} (active)`
+                : project.name;
+
+            item.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', function() {
+                    handleProjectAction(this.dataset.action, project);
+                });
+            });
+
+            listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Format a project summary for the list
+     */
+    function formatSummary(summary) {
+        if (!summary.missionType) {
+            return 'Not configured yet';
+        }
+
+        const parts = [
+            summary.missionType === 'mars' ? 'Mars' : 'Moon',
+            `${summary.crewSize} crew`,
+            `${summary.duration} days`
+        ];
+
+        if (summary.structureType) {
+            parts.push(`${summary.structureSize || 'medium'} ${summary.structureType}`);
+        }
+        parts.push(`${summary.roomCount} rooms`);
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Handle a project list button
+     */
+    function handleProjectAction(action, project) {
+        switch (action) {
+            case 'open':
+                if (project.active) {
+                    if (typeof SpaceArchitects !== 'undefined') {
+                        SpaceArchitects.showPage('config');
+                    }
+                } else {
+                    switchProject(project.id);
+                }
+                break;
+            case 'rename': {
+                const name = prompt('Rename habitat project:', project.name);
+                if (name !== null) {
+                    renameProject(project.id, name);
+                }
+                break;
+            }
+            case 'duplicate':
+                duplicateProject(project.id);
+                break;
+            case 'delete':
+                if (confirm(`Delete project "${project.name}"? This cannot be undone.`)) {
+                    deleteProject(project.id);
+                }
+                break;
+        }
+    }
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+
+    // Public API
+    return {
+        initialize: initialize,
+        listProjects: listProjects,
+        getActiveProject: () => {
+            const active = getActiveProject();
+            return active ? { id: active.id, name: active.name } : null;
+        },
+        createProject: createProject,
+        renameProject: renameProject,
+        duplicateProject: duplicateProject,
+        deleteProject: deleteProject,
+        switchProject: switchProject,
+        syncActiveProject: syncActiveProject,
+        renderProjectList: renderProjectList
+    };
+})();
+
+// Auto-initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    ProjectManager.initialize();
+});
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ProjectManager = ProjectManager;
+}
+
+console.log('📁 Project manager module loaded successfully');
@@ -19,31 +19,139 @@ const RoomsManager = (function() {
     
     /**
      * Complete room catalog based on NASA standards
-     * Each room includes dimensions, requirements, and behavioral properties
+     * Single registry shared by the editor palette, validation and scoring.
+     * Dimensions follow the module sizes described in the project README.
      */
     const ROOM_CATALOG = {
         // ===== ESSENTIAL ROOMS (Required for all missions) =====
         
+        airlock: {
+            id: 'airlock',
+            name: 'Airlock',
+            category: 'essential',
+            group: 'utility',
+            
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
+            
+            capacity: 2,                    // EVA team preparation
+            privacy: 'medium',
+            noiseLevel: 'moderate',         // Equipment operation sounds
+            lightingNeeds: 'bright',        // Safety lighting essential
+            power: { nominal: 0.5, peak: 3.0 }, // kW - Depressurisation pumps
+            
+            color: '#4A9EFF',               // Blue - exterior access
+            icon: '🚪',
+            iconAlt: 'airlock',
+            summary: 'Entry/exit with spacesuit storage',
+            
+            requirements: {
+                essential: true,            // Required for surface operations
+                externalAccess: true,       // Must connect to habitat exterior
+                minDistance: {
+                    crew_quarters: 3.0,     // Noise from EVA prep
+                    galley: 2.0,           // Avoid dust contamination
+                    medical: 2.0            // Medical separation
+                },
+                maxDistance: {
+                    storage: 4.0,          // EVA suit storage
+                    medical: 8.0           // Emergency access
+                },
+                adjacencyBonus: {
+                    storage: 20,           // EVA equipment storage
+                    workstation: 12,       // EVA planning and communication
+                    medical: 10            // Post-EVA medical checks
+                }
+            },
+            
+            description: 'Airlock and EVA preparation area for surface operations and emergencies.',
+            nasaFacts: [
+                'Airlocks prevent habitat atmosphere loss during EVAs',
+                'EVA suit donning and doffing requires significant time and space',
+                'Dust mitigation is critical on lunar and Mars missions'
+            ],
+            designTips: [
+                'Design for suit storage, donning, and maintenance',
+                'Include dust mitigation systems for planetary surfaces',
+                'Ensure clear emergency access procedures'
+            ]
+        },
+        
+        life_support: {
+            id: 'life_support',
+            name: 'Life Support',
+            category: 'essential',
+            group: 'utility',
+            
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
+            
+            capacity: 1,                    // Service access only
+            privacy: 'low',
+            noiseLevel: 'moderate',         // Fans, pumps and compressors
+            lightingNeeds: 'moderate',
+            power: { nominal: 3.0, peak: 4.5 }, // kW - Air revitalisation and water processing
+            thermalCapacity: 10.0,          // kW - Heat the thermal control loop can reject
+            
+            color: '#FF9800',               // Orange - machinery
+            icon: '🔄',
+            iconAlt: 'recycling',
+            summary: 'ECLSS core, waste management',
+            
+            requirements: {
+                essential: true,
+                ratioRequirement: {         // One ECLSS core supports up to 7 crew
+                    crewPer: 7,
+                    minRequired: 1
+                },
+                minDistance: {
+                    crew_quarters: 2.0,     // Machinery noise away from sleep
+                    galley: 1.0
+                },
+                adjacencyBonus: {
+                    workstation: 10,        // Maintenance access
+                    storage: 8              // Spare parts and consumables
+                }
+            },
+            
+            description: 'ECLSS core regulating air, temperature and pressure, recycling water and collecting waste.',
+            nasaFacts: [
+                'The ECLSS removes CO₂, generates oxygen and controls humidity',
+                'Water recovery systems on the ISS reclaim about 93% of water',
+                'A single ECLSS core can support up to 7 people with extra tanks'
+            ],
+            designTips: [
+                'Place at the lowest or central part of the habitat to simplify connections',
+                'Keep away from sleeping quarters to limit machinery noise',
+                'Add one extra life support room for every 4 additional crew'
+            ]
+        },
+        
         crew_quarters: {
             id: 'crew_quarters',
-            name: 'Crew Quarters',
+            name: 'Sleeping Quarters',
             category: 'essential',
+            group: 'personal',
             
             // Physical specifications (based on NASA-STD-3001)
-            dimensions: { width: 2.0, length: 2.5, height: 2.5 },
-            volume: 12.5,                    // m³ - calculated from dimensions
-            area: 5.0,                       // m² - floor area
+            dimensions: { width: 2.0, length: 3.0, height: 2.5 },
+            volume: 15.0,                    // m³ - calculated from dimensions
+            area: 6.0,                       // m² - floor area
             
             // Functional properties
             capacity: 1,                     // Maximum occupancy
             privacy: 'high',                 // Privacy requirement level
             noiseLevel: 'quiet',            // Acceptable noise level
             lightingNeeds: 'adjustable',     // Lighting requirements
+            power: { nominal: 0.1, peak: 0.3 }, // kW
             
             // Visual properties
             color: '#4CAF50',               // Green - represents rest/sleep
             icon: '🛏️',
             iconAlt: 'bed',                 // Accessibility text
+            summary: 'Individual soundproof quarters',
             
             // NASA requirements and constraints
             requirements: {
@@ -77,23 +185,77 @@ const RoomsManager = (function() {
             ]
         },
         
+        galley: {
+            id: 'galley',
+            name: 'Kitchen',
+            category: 'essential',
+            group: 'social',
+            
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
+            
+            capacity: 2,                    // 2 people can work simultaneously
+            privacy: 'low',
+            noiseLevel: 'moderate',         // Food prep creates noise
+            lightingNeeds: 'bright',        // Task lighting needed
+            power: { nominal: 0.5, peak: 2.5 }, // kW - Oven and food warmer
+            
+            color: '#FFC107',               // Amber - warmth/cooking
+            icon: '🍳',
+            iconAlt: 'cooking',
+            summary: 'Food prep and food storage',
+            
+            requirements: {
+                essential: true,
+                minDistance: {
+                    hygiene: 2.0,           // Food safety requirement
+                    exercise: 2.0           // Avoid contamination from sweat
+                },
+                maxDistance: {
+                    diningroom: 3.0,        // Should be very close to dining
+                    storage: 5.0            // Close to food storage
+                },
+                adjacencyBonus: {
+                    diningroom: 20,         // Major bonus for dining proximity
+                    storage: 15,            // Storage access important
+                    workstation: 5          // Can double as workspace
+                }
+            },
+            
+            description: 'Food preparation area with heating, storage, and cleaning facilities.',
+            nasaFacts: [
+                'ISS galley uses magnetized surfaces and velcro to secure items',
+                'No open flames allowed - all heating is electric',
+                'Food safety is critical in closed-loop life support systems'
+            ],
+            designTips: [
+                'Place adjacent to the dining room for efficient meal service',
+                'Ensure good ventilation to manage cooking odors',
+                'Include adequate storage and prep surface area'
+            ]
+        },
+        
         hygiene: {
             id: 'hygiene',
-            name: 'Hygiene Station',
+            name: 'Hygiene',
             category: 'essential',
+            group: 'personal',
             
-            dimensions: { width: 1.2, length: 1.2, height: 2.5 },
-            volume: 3.6,
-            area: 1.44,
+            dimensions: { width: 2.0, length: 3.0, height: 2.5 },
+            volume: 15.0,
+            area: 6.0,
             
             capacity: 1,
             privacy: 'maximum',             // Highest privacy needs
             noiseLevel: 'moderate',
             lightingNeeds: 'bright',
+            power: { nominal: 0.3, peak: 1.5 }, // kW - Water heating
             
             color: '#2196F3',               // Blue - water/cleanliness
             icon: '🚿',
             iconAlt: 'shower',
+            summary: 'Toilet, shower, sink facilities',
             
             requirements: {
                 essential: true,
@@ -128,118 +290,77 @@ const RoomsManager = (function() {
             ]
         },
         
-        galley: {
-            id: 'galley',
-            name: 'Galley',
+        medical: {
+            id: 'medical',
+            name: 'Medical',
             category: 'essential',
+            group: 'utility',
             
-            dimensions: { width: 2.0, length: 1.5, height: 2.5 },
-            volume: 7.5,
-            area: 3.0,
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
             
-            capacity: 2,                    // 2 people can work simultaneously
-            privacy: 'low',
-            noiseLevel: 'moderate',         // Food prep creates noise
-            lightingNeeds: 'bright',        // Task lighting needed
+            capacity: 2,                    // Patient + caregiver
+            privacy: 'high',                // Medical privacy important
+            noiseLevel: 'quiet',
+            lightingNeeds: 'bright',        // Medical procedures need good light
+            power: { nominal: 0.3, peak: 1.5 }, // kW - Diagnostic equipment
             
-            color: '#FF9800',               // Orange - warmth/cooking
-            icon: '🍳',
-            iconAlt: 'cooking',
+            color: '#F44336',               // Red - medical/emergency
+            icon: '🏥',
+            iconAlt: 'medical',
+            summary: 'Basic medical care station',
             
             requirements: {
                 essential: true,
-                minDistance: {
-                    hygiene: 2.0,           // Food safety requirement
-                    exercise: 2.0           // Avoid contamination from sweat
-                },
+                centralAccess: true,        // Should be accessible from anywhere
                 maxDistance: {
-                    wardroom: 3.0,          // Should be very close to dining
-                    storage: 5.0            // Close to food storage
+                    crew_quarters: 12.0,    // Emergency access from bedrooms
+                    exercise: 8.0,          // Exercise injury response
+                    workstation: 10.0       // Work-related injury access
                 },
                 adjacencyBonus: {
-                    wardroom: 20,           // Major bonus for dining proximity
-                    storage: 15,            // Storage access important
-                    workstation: 5          // Can double as workspace
+                    hygiene: 10,            // Medical hygiene needs
+                    storage: 15,            // Medical supply storage
+                    workstation: 8          // Research/medical data overlap
                 }
             },
             
-            description: 'Food preparation area with heating, storage, and cleaning facilities.',
+            description: 'Medical care facility with equipment for health monitoring and emergency treatment.',
             nasaFacts: [
-                'ISS galley uses magnetized surfaces and velcro to secure items',
-                'No open flames allowed - all heating is electric',
-                'Food safety is critical in closed-loop life support systems'
+                'Medical bay must handle everything from minor injuries to major surgery',
+                'Telemedicine connections to Earth are critical for complex cases',
+                'Medical privacy requirements apply even in small habitats'
             ],
             designTips: [
-                'Place adjacent to wardroom for efficient meal service',
-                'Ensure good ventilation to manage cooking odors',
-                'Include adequate storage and prep surface area'
+                'Central location for emergency access from all areas',
+                'Ensure privacy and sound isolation for patient care',
+                'Include storage for medical supplies and equipment'
             ]
         },
         
-        diningroom: {
-            id: 'diningroom',
-            name: 'diningroom',
-            category: 'essential',
-            
-            dimensions: { width: 3.0, length: 2.0, height: 2.5 },
-            volume: 12.6,
-            area: 6.0,
-            
-            capacity: 4,                    // Whole crew can dine together
-            privacy: 'low',                 // Social space
-            noiseLevel: 'moderate',         // Conversation area
-            lightingNeeds: 'comfortable',   // Social lighting
-            
-            color: '#FFC107',               // Yellow - social/gathering
-            icon: '🍽️',
-            iconAlt: 'dining',
-            
-            requirements: {
-                essential: true,
-                minSize: {                  // Must accommodate full crew
-                    areaPerPerson: 1.5      // m² per person minimum
-                },
-                maxDistance: {
-                    galley: 3.0,            // Close to kitchen
-                    crew_quarters: 10.0     // Accessible from all quarters
-                },
-                adjacencyBonus: {
-                    galley: 25,             // Highest bonus for kitchen proximity
-                    workstation: 10,        // Can serve as meeting room
-                    recreation: 15          // Social activities coordination
-                }
-            },
-            
-            description: 'Dining and social area where crew gathers for meals and meetings.',
-            nasaFacts: [
-                'Shared meals are crucial for crew morale and team cohesion',
-                'The wardroom often serves as the social hub of the habitat',
-                'Tables must secure items in low/zero gravity environments'
-            ],
-            designTips: [
-                'Central location accessible to all crew quarters',
-                'Adjacent to galley for easy meal service',
-                'Design for flexibility - dining, meetings, recreation'
-            ]
-        },
+        // ===== REQUIRED ROOMS (Needed for a compliant layout) =====
         
         exercise: {
             id: 'exercise',
-            name: 'Exercise Area',
-            category: 'essential',
+            name: 'Gym',
+            category: 'required',
+            group: 'health',
             
-            dimensions: { width: 3.0, length: 2.0, height: 2.5 }, // Taller for equipment
-            volume: 15.0,
-            area: 6.0,
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
             
             capacity: 1,                    // Individual exercise
             privacy: 'medium',
             noiseLevel: 'high',             // Exercise creates noise/vibration
             lightingNeeds: 'bright',        // Task lighting for safety
+            power: { nominal: 0.3, peak: 1.0 }, // kW - Treadmill and resistive device
             
             color: '#E91E63',               // Pink/Red - energy/fitness
-            icon: '🏃',
-            iconAlt: 'running',
+            icon: '💪',
+            iconAlt: 'exercise',
+            summary: 'Exercise equipment area',
             
             requirements: {
                 essential: true,
@@ -274,21 +395,24 @@ const RoomsManager = (function() {
         
         workstation: {
             id: 'workstation',
-            name: 'Work Station',
-            category: 'essential',
+            name: 'Maintenance',
+            category: 'required',
+            group: 'work',
             
-            dimensions: { width: 2.0, length: 1.5, height: 2.5 },
-            volume: 7.5,
-            area: 3.0,
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
             
             capacity: 2,                    // Can accommodate team work
             privacy: 'medium',
-            noiseLevel: 'quiet',            // Concentration needed
+            noiseLevel: 'moderate',         // Tools and repair work
             lightingNeeds: 'bright',        // Task lighting essential
+            power: { nominal: 0.5, peak: 1.0 }, // kW
             
             color: '#9C27B0',               // Purple - technology/science
-            icon: '💻',
-            iconAlt: 'computer',
+            icon: '🔧',
+            iconAlt: 'tools',
+            summary: 'Tools and mission planning',
             
             requirements: {
                 essential: true,
@@ -304,11 +428,11 @@ const RoomsManager = (function() {
                 adjacencyBonus: {
                     medical: 8,             // Science/medical work overlap
                     storage: 12,            // Equipment access
-                    wardroom: 10            // Can serve as meeting room
+                    diningroom: 10          // Can serve as meeting room
                 }
             },
             
-            description: 'Research and operations workspace with computers and scientific equipment.',
+            description: 'Maintenance and mission planning workspace with tools, spare parts and a control station.',
             nasaFacts: [
                 'Workstations must be designed for both individual and team activities',
                 'All equipment must be secured to prevent floating in microgravity',
@@ -316,74 +440,81 @@ const RoomsManager = (function() {
             ],
             designTips: [
                 'Provide excellent lighting for detailed work',
-                'Ensure quiet environment for concentration',
+                'Keep tools and spare parts within reach of life support',
                 'Design for flexibility - different types of work activities'
             ]
         },
         
-        medical: {
-            id: 'medical',
-            name: 'Medical Bay',
-            category: 'essential',
+        diningroom: {
+            id: 'diningroom',
+            name: 'Dining Room',
+            category: 'required',
+            group: 'social',
             
-            dimensions: { width: 2.0, length: 1.5, height: 2.5 },
-            volume: 7.5,
-            area: 3.0,
+            dimensions: { width: 3.0, length: 2.0, height: 2.5 },
+            volume: 15.0,
+            area: 6.0,
             
-            capacity: 2,                    // Patient + caregiver
-            privacy: 'high',                // Medical privacy important
-            noiseLevel: 'quiet',
-            lightingNeeds: 'bright',        // Medical procedures need good light
+            capacity: 4,                    // Whole crew can dine together
+            privacy: 'low',                 // Social space
+            noiseLevel: 'moderate',         // Conversation area
+            lightingNeeds: 'comfortable',   // Social lighting
+            power: { nominal: 0.2, peak: 0.5 }, // kW
             
-            color: '#F44336',               // Red - medical/emergency
-            icon: '🏥',
-            iconAlt: 'medical',
+            color: '#FFD54F',               // Yellow - social/gathering
+            icon: '🍽️',
+            iconAlt: 'dining',
+            summary: 'Shared table for meals and meetings',
             
             requirements: {
                 essential: true,
-                centralAccess: true,        // Should be accessible from anywhere
+                minSize: {                  // Must accommodate full crew
+                    areaPerPerson: 1.5      // m² per person minimum
+                },
                 maxDistance: {
-                    crew_quarters: 12.0,    // Emergency access from bedrooms
-                    exercise: 8.0,          // Exercise injury response
-                    workstation: 10.0       // Work-related injury access
+                    galley: 3.0,            // Close to kitchen
+                    crew_quarters: 10.0     // Accessible from all quarters
                 },
                 adjacencyBonus: {
-                    hygiene: 10,            // Medical hygiene needs
-                    storage: 15,            // Medical supply storage
-                    workstation: 8          // Research/medical data overlap
+                    galley: 25,             // Highest bonus for kitchen proximity
+                    workstation: 10,        // Can serve as meeting room
+                    recreation: 15          // Social activities coordination
                 }
             },
             
-            description: 'Medical care facility with equipment for health monitoring and emergency treatment.',
+            description: 'Dining and social area where crew gathers for meals and meetings.',
             nasaFacts: [
-                'Medical bay must handle everything from minor injuries to major surgery',
-                'Telemedicine connections to Earth are critical for complex cases',
-                'Medical privacy requirements apply even in small habitats'
+                'Shared meals are crucial for crew morale and team cohesion',
+                'The wardroom often serves as the social hub of the habitat',
+                'Tables must secure items in low/zero gravity environments'
             ],
             designTips: [
-                'Central location for emergency access from all areas',
-                'Ensure privacy and sound isolation for patient care',
-                'Include storage for medical supplies and equipment'
+                'Central location accessible to all crew quarters',
+                'Adjacent to galley for easy meal service',
+                'Design for flexibility - dining, meetings, recreation'
             ]
         },
         
         storage: {
             id: 'storage',
             name: 'Storage',
-            category: 'essential',
+            category: 'required',
+            group: 'utility',
             
-            dimensions: { width: 4.0, length: 2.0, height: 2.5 },
-            volume: 20.0,
-            area: 8.0,
+            dimensions: { width: 2.0, length: 3.0, height: 2.5 },
+            volume: 15.0,
+            area: 6.0,
             
             capacity: 0,                    // No occupancy - storage only
             privacy: 'low',
             noiseLevel: 'quiet',
             lightingNeeds: 'moderate',
+            power: { nominal: 0.05, peak: 0.1 },// kW
             
             color: '#795548',               // Brown - storage/utility
             icon: '📦',
             iconAlt: 'storage box',
+            summary: 'Additional storage space',
             
             requirements: {
                 essential: true,
@@ -416,48 +547,51 @@ const RoomsManager = (function() {
         
         // ===== OPTIONAL ROOMS (Enhance quality of life) =====
         
-        recreation: {
-            id: 'recreation',
-            name: 'Recreation Area',
+        laboratory: {
+            id: 'laboratory',
+            name: 'Laboratory',
             category: 'optional',
+            group: 'work',
             
-            dimensions: { width: 2.5, length: 2.5, height: 2.5 },
-            volume: 15.625,
-            area: 6.25,
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
             
-            capacity: 3,                    // Small group activities
-            privacy: 'low',                 // Social space
-            noiseLevel: 'moderate',
-            lightingNeeds: 'adjustable',    // Different activities need different light
+            capacity: 2,                    // Small research team
+            privacy: 'medium',
+            noiseLevel: 'quiet',            // Concentration needed
+            lightingNeeds: 'bright',
+            power: { nominal: 1.0, peak: 3.0 }, // kW - Freezers and instruments
             
-            color: '#00BCD4',               // Cyan - relaxation/fun
-            icon: '🎮',
-            iconAlt: 'gaming',
+            color: '#607D8B',               // Gray - scientific equipment
+            icon: '🔬',
+            iconAlt: 'microscope',
+            summary: 'Experiments and research',
             
             requirements: {
                 essential: false,
-                luxuryScore: 15,            // Increases habitat quality score
+                luxuryScore: 10,            // Mission science return
                 minDistance: {
-                    medical: 2.0,           // Keep fun separate from medical
-                    workstation: 1.0        // Some separation from work
+                    exercise: 2.0,          // Vibration spoils experiments
+                    galley: 2.0             // Avoid sample contamination
                 },
                 adjacencyBonus: {
-                    wardroom: 15,           // Social areas work well together
-                    crew_quarters: 10,      // Easy access from bedrooms
-                    storage: 8              // Recreation equipment storage
+                    workstation: 12,        // Shared equipment and data
+                    greenhouse: 10,         // Plant research
+                    storage: 8              // Sample storage
                 }
             },
             
-            description: 'Recreation area for crew relaxation, games, and social activities.',
+            description: 'Space for experiments and scientific observation with power connections and a clinical sink.',
             nasaFacts: [
-                'Recreation is essential for psychological health on long missions',
-                'Virtual reality systems can provide "Earth experiences"',
-                'Social activities help maintain crew cohesion and morale'
+                'Research is the main scientific return of surface missions',
+                'Lab benches need vibration isolation for sensitive instruments',
+                'Sample handling must avoid contaminating the habitat atmosphere'
             ],
             designTips: [
-                'Design for multiple types of activities',
-                'Consider noise impact on nearby quiet areas',
-                'Include storage for recreational equipment and games'
+                'Keep away from exercise vibration and galley contamination',
+                'Place near work stations to share equipment and data links',
+                'Choose the larger lab for long missions with complex research'
             ]
         },
         
@@ -465,19 +599,22 @@ const RoomsManager = (function() {
             id: 'greenhouse',
             name: 'Greenhouse',
             category: 'optional',
+            group: 'health',
             
-            dimensions: { width: 3.0, length: 2.5, height: 2.5 }, // Taller for plants
-            volume: 18.75,
-            area: 7.5,
+            dimensions: { width: 2.5, length: 4.0, height: 2.5 },
+            volume: 25.0,
+            area: 10.0,
             
             capacity: 2,                    // Gardening team work
             privacy: 'low',
             noiseLevel: 'quiet',            // Peaceful environment
             lightingNeeds: 'specialized',   // Plant grow lights
+            power: { nominal: 2.0, peak: 3.0 }, // kW - Grow lights
             
             color: '#8BC34A',               // Light green - plants/growth
             icon: '🌱',
             iconAlt: 'plant',
+            summary: 'Plant growth, oxygen generation',
             
             requirements: {
                 essential: false,
@@ -511,57 +648,280 @@ const RoomsManager = (function() {
             ]
         },
         
-        airlock: {
-            id: 'airlock',
-            name: 'Airlock/EVA Prep',
-            category: 'essential',
+        recreation: {
+            id: 'recreation',
+            name: 'Recreation Area',
+            category: 'optional',
+            group: 'social',
             
             dimensions: { width: 2.5, length: 2.5, height: 2.5 },
             volume: 15.625,
             area: 6.25,
             
-            capacity: 2,                    // EVA team preparation
-            privacy: 'medium',
-            noiseLevel: 'moderate',         // Equipment operation sounds
-            lightingNeeds: 'bright',        // Safety lighting essential
+            capacity: 3,                    // Small group activities
+            privacy: 'low',                 // Social space
+            noiseLevel: 'moderate',
+            lightingNeeds: 'adjustable',    // Different activities need different light
+            power: { nominal: 0.2, peak: 0.5 }, // kW
             
-            color: '#607D8B',               // Gray - technical/utilitarian
-            icon: '🚪',
-            iconAlt: 'airlock',
+            color: '#00BCD4',               // Cyan - relaxation/fun
+            icon: '🎮',
+            iconAlt: 'gaming',
+            summary: 'Games, films and relaxation',
             
             requirements: {
-                essential: true,            // Required for surface operations
-                externalAccess: true,       // Must connect to habitat exterior
+                essential: false,
+                luxuryScore: 15,            // Increases habitat quality score
                 minDistance: {
-                    crew_quarters: 3.0,     // Noise from EVA prep
-                    galley: 2.0,           // Avoid dust contamination
-                    medical: 2.0            // Medical separation
+                    medical: 2.0,           // Keep fun separate from medical
+                    workstation: 1.0        // Some separation from work
+                },
+                adjacencyBonus: {
+                    diningroom: 15,         // Social areas work well together
+                    crew_quarters: 10,      // Easy access from bedrooms
+                    storage: 8              // Recreation equipment storage
+                }
+            },
+            
+            description: 'Recreation area for crew relaxation, games, and social activities.',
+            nasaFacts: [
+                'Recreation is essential for psychological health on long missions',
+                'Virtual reality systems can provide "Earth experiences"',
+                'Social activities help maintain crew cohesion and morale'
+            ],
+            designTips: [
+                'Design for multiple types of activities',
+                'Consider noise impact on nearby quiet areas',
+                'Include storage for recreational equipment and games'
+            ]
+        },
+        
+        // Vertical connections between levels of a multi-level habitat
+        stairs: {
+            id: 'stairs',
+            name: 'Stairs',
+            category: 'connector',
+            group: 'utility',
+            verticalConnector: true,        // Must align with a matching connector on the next level
+            
+            dimensions: { width: 1.2, length: 2.5, height: 2.5 },
+            volume: 7.5,
+            area: 3.0,
+            
+            capacity: 2,
+            privacy: 'low',
+            noiseLevel: 'quiet',
+            lightingNeeds: 'standard',
+            power: { nominal: 0.02, peak: 0.02 },// kW
+            
+            color: '#78909C',
+            icon: '⬆️',
+            iconAlt: 'stairs',
+            summary: 'Walkable stairs between levels',
+            
+            requirements: {
+                essential: false,
+                minDistance: {},
+                adjacencyBonus: {}
+            },
+            
+            description: 'Stair connector linking this level to the one above or below in a multi-level habitat.',
+            nasaFacts: [
+                'Stairs need more floor area than ladders but are easier to use with loads in partial gravity',
+                'Lunar and Martian gravity allows steeper stairs than on Earth'
+            ],
+            designTips: [
+                'Place the matching stairs at exactly the same position on the adjacent level',
+                'Keep the landing clear of other rooms'
+            ]
+        },
+        
+        ladder: {
+            id: 'ladder',
+            name: 'Ladder',
+            category: 'connector',
+            group: 'utility',
+            verticalConnector: true,        // Must align with a matching connector on the next level
+            
+            dimensions: { width: 1, length: 1, height: 2.5 },
+            volume: 2.5,
+            area: 1,
+            
+            capacity: 1,
+            privacy: 'low',
+            noiseLevel: 'quiet',
+            lightingNeeds: 'standard',
+            power: { nominal: 0.02, peak: 0.02 },// kW
+            
+            color: '#90A4AE',
+            icon: '🪜',
+            iconAlt: 'ladder',
+            summary: 'Compact vertical ladder between levels',
+            
+            requirements: {
+                essential: false,
+                minDistance: {},
+                adjacencyBonus: {}
+            },
+            
+            description: 'Ladder connector linking this level to the one above or below in a multi-level habitat.',
+            nasaFacts: [
+                'Ladders use the least floor area of any vertical connection',
+                'Crew in pressure suits may struggle with ladders during emergencies'
+            ],
+            designTips: [
+                'Align the ladder with an identical ladder on the adjacent level',
+                'Pair ladders with a second route for emergency egress'
+            ]
+        },
+        
+        hatch: {
+            id: 'hatch',
+            name: 'Hatch',
+            category: 'connector',
+            group: 'utility',
+            verticalConnector: true,        // Must align with a matching connector on the next level
+            
+            dimensions: { width: 1.2, length: 1.2, height: 2.5 },
+            volume: 3.6,
+            area: 1.44,
+            
+            capacity: 1,
+            privacy: 'low',
+            noiseLevel: 'quiet',
+            lightingNeeds: 'standard',
+            power: { nominal: 0.02, peak: 0.1 },// kW - Hatch actuators
+            
+            color: '#607D8B',
+            icon: '🕳️',
+            iconAlt: 'hatch',
+            summary: 'Pressure hatch through the floor or ceiling',
+            
+            requirements: {
+                essential: false,
+                minDistance: {},
+                adjacencyBonus: {}
+            },
+            
+            description: 'Pressure hatch between levels that can be sealed to isolate a floor.',
+            nasaFacts: [
+                'Sealable hatches let the crew isolate a level after a leak or fire',
+                'NASA hatches are sized for a suited crew member to pass through'
+            ],
+            designTips: [
+                'Place the matching hatch at the same position on the adjacent level',
+                'Keep the area around the hatch free for opening and closing'
+            ]
+        },
+        
+        // ===== DESTINATION ROOMS (Required by lunar or Mars rule packs) =====
+        
+        dust_lock: {
+            id: 'dust_lock',
+            name: 'Dust Lock',
+            category: 'destination',
+            group: 'utility',
+            
+            dimensions: { width: 2.0, length: 2.0, height: 2.5 },
+            volume: 10.0,
+            area: 4.0,
+            
+            capacity: 2,
+            privacy: 'low',
+            noiseLevel: 'moderate',         // Suit cleaning and air showers
+            lightingNeeds: 'bright',
+            power: { nominal: 0.3, peak: 1.5 }, // kW - Air showers and suit cleaning
+            
+            color: '#A1887F',               // Dust brown
+            icon: '🧹',
+            iconAlt: 'dust lock',
+            summary: 'Suitport and dust removal beside the airlock',
+            
+            requirements: {
+                essential: false,
+                minDistance: {
+                    crew_quarters: 3.0,     // Keep dust away from sleeping areas
+                    galley: 2.0             // Avoid food contamination
                 },
                 maxDistance: {
-                    storage: 4.0,          // EVA suit storage
-                    medical: 8.0           // Emergency access
+                    airlock: 3.0            // Must buffer the airlock
                 },
                 adjacencyBonus: {
-                    storage: 20,           // EVA equipment storage
-                    workstation: 12,       // EVA planning and communication
-                    medical: 10            // Post-EVA medical checks
+                    airlock: 20,            // Suits are cleaned right after EVA
+                    storage: 8              // Cleaning supplies and spare filters
                 }
             },
             
-            description: 'Airlock and EVA preparation area for surface operations and emergencies.',
+            description: 'Dust lock with suitports that keeps abrasive regolith dust out of the living areas.',
             nasaFacts: [
-                'Airlocks prevent habitat atmosphere loss during EVAs',
-                'EVA suit donning and doffing requires significant time and space',
-                'Dust mitigation is critical on lunar and Mars missions'
+                'Apollo crews reported lunar dust irritating eyes and lungs after every EVA',
+                'Suitports let astronauts enter a suit from inside and leave it outside the cabin',
+                'Martian dust contains perchlorates that are toxic if inhaled'
             ],
             designTips: [
-                'Design for suit storage, donning, and maintenance',
-                'Include dust mitigation systems for planetary surfaces',
-                'Ensure clear emergency access procedures'
+                'Place the dust lock against the airlock so suits never cross the living areas',
+                'Keep it away from the galley and crew quarters'
+            ]
+        },
+        
+        storm_shelter: {
+            id: 'storm_shelter',
+            name: 'Storm Shelter',
+            category: 'destination',
+            group: 'utility',
+            
+            dimensions: { width: 3.0, length: 3.0, height: 2.5 },
+            volume: 22.5,
+            area: 9.0,
+            
+            capacity: 6,                    // Whole crew during a storm
+            shielding: 20,                  // g/cm² - Water-filled wall lining, with the hull above the shelter minimum
+            privacy: 'low',
+            noiseLevel: 'quiet',
+            lightingNeeds: 'standard',
+            power: { nominal: 0.2, peak: 0.5 }, // kW
+            
+            color: '#5D4037',               // Dark brown - heavy shielding
+            icon: '🛡️',
+            iconAlt: 'storm shelter',
+            summary: 'Shielded refuge for dust storms and solar events',
+            
+            requirements: {
+                essential: false,
+                minDistance: {},
+                maxDistance: {
+                    crew_quarters: 6.0      // Reachable quickly, also at night
+                },
+                adjacencyBonus: {
+                    storage: 10,            // Supplies surround the shelter as shielding
+                    crew_quarters: 8
+                }
+            },
+            
+            description: 'Heavily shielded room where the whole crew waits out dust storms and solar particle events.',
+            nasaFacts: [
+                'Martian dust storms can last for weeks and cut solar power',
+                'Water and supplies stored around a shelter add radiation shielding'
+            ],
+            designTips: [
+                'Surround the shelter with storage to add shielding mass',
+                'Keep it close to the crew quarters so the crew can reach it quickly'
             ]
         }
     };
     
+    /**
+     * Room ids used by earlier versions of the editor palette, mapped onto
+     * the unified registry ids. Used to migrate saved layouts.
+     */
+    const LEGACY_ROOM_IDS = {
+        'life-support': 'life_support',
+        sleeping: 'crew_quarters',
+        kitchen: 'galley',
+        gym: 'exercise',
+        maintenance: 'workstation'
+    };
+    
     /**
      * Room categories for filtering and organization
      */
@@ -576,11 +936,26 @@ const RoomsManager = (function() {
             description: 'Required rooms for mission success',
             filter: (room) => room.category === 'essential'
         },
+        required: {
+            name: 'Required',
+            description: 'Rooms needed for a fully compliant layout',
+            filter: (room) => room.category === 'required'
+        },
         optional: {
             name: 'Optional',
             description: 'Quality-of-life improvements',
             filter: (room) => room.category === 'optional'
         },
+        connector: {
+            name: 'Connectors',
+            description: 'Stairs, ladders and hatches between levels',
+            filter: (room) => room.category === 'connector'
+        },
+        destination: {
+            name: 'Destination',
+            description: 'Rooms required by the lunar or Mars rule pack',
+            filter: (room) => room.category === 'destination'
+        },
         habitation: {
             name: 'Living',
             description: 'Personal living spaces',
@@ -589,7 +964,7 @@ const RoomsManager = (function() {
         operations: {
             name: 'Operations',
             description: 'Work and operational spaces',
-            filter: (room) => ['workstation', 'medical', 'airlock', 'storage'].includes(room.id)
+            filter: (room) => ['workstation', 'medical', 'airlock', 'storage', 'life_support', 'laboratory'].includes(room.id)
         },
         social: {
             name: 'Social',
@@ -670,6 +1045,18 @@ const RoomsManager = (function() {
         return ROOM_CATALOG[roomId] || null;
     }
     
+    /**
+     * Resolve a room id, including ids from older editor versions,
+     * to its id in the unified registry
+     * 
+     * @param {string} roomId - Current or legacy room identifier
+     * @returns {string|null} Registry room id or null if unknown
+     */
+    function resolveRoomId(roomId) {
+        if (ROOM_CATALOG[roomId]) return roomId;
+        return LEGACY_ROOM_IDS[roomId] || null;
+    }
+    
     /**
      * Get all rooms in a specific category
      * 
@@ -702,6 +1089,7 @@ const RoomsManager = (function() {
             workstation: Math.ceil(crewSize / 2), // 1 per 2 people
             medical: 1,                         // 1 total
             storage: Math.max(1, Math.ceil(crewSize / 4)), // Scale with crew
+            life_support: Math.ceil(crewSize / 7), // 1 ECLSS core per 7 people
             airlock: 1                          // 1 total
         };
         
@@ -715,9 +1103,10 @@ const RoomsManager = (function() {
      * @param {string} roomId - Room being placed
      * @param {Object} position - Room position {x, y}
      * @param {Array} existingRooms - Currently placed rooms
+     * @param {Object} options - distance(otherRoom) to measure other than in a straight line
      * @returns {Object} Validation result
      */
-    function validateRoomPlacement(roomId, position, existingRooms) {
+    function validateRoomPlacement(roomId, position, existingRooms, options = {}) {
         const room = getRoomById(roomId);
         if (!room) {
             return { valid: false, reason: 'Unknown room type' };
@@ -731,12 +1120,14 @@ const RoomsManager = (function() {
             score: 0
         };
         
+        const distanceTo = options.distance || (otherRoom => calculateDistance(position, otherRoom.position));
+        
         // Check minimum distance requirements
         if (room.requirements.minDistance) {
             Object.entries(room.requirements.minDistance).forEach(([otherRoomType, minDist]) => {
                 const nearbyRooms = existingRooms.filter(r => r.type === otherRoomType);
                 nearbyRooms.forEach(otherRoom => {
-                    const distance = calculateDistance(position, otherRoom.position);
+                    const distance = distanceTo(otherRoom);
                     if (distance < minDist) {
                         validation.warnings.push(
                             `Too close to ${getRoomById(otherRoomType).name} (${distance.toFixed(1)}m < ${minDist}m required)`
@@ -752,10 +1143,11 @@ const RoomsManager = (function() {
             Object.entries(room.requirements.maxDistance).forEach(([otherRoomType, maxDist]) => {
                 const nearbyRooms = existingRooms.filter(r => r.type === otherRoomType);
                 if (nearbyRooms.length > 0) {
-                    const closestDistance = Math.min(
-                        ...nearbyRooms.map(r => calculateDistance(position, r.position))
-                    );
-                    if (closestDistance > maxDist) {
+                    const closestDistance = Math.min(...nearbyRooms.map(distanceTo));
+                    if (closestDistance === Infinity) {
+                        validation.warnings.push(`No walkable route to ${getRoomById(otherRoomType).name}`);
+                        validation.score -= 8;
+                    } else if (closestDistance > maxDist) {
                         validation.warnings.push(
                             `Too far from ${getRoomById(otherRoomType).name} (${closestDistance.toFixed(1)}m > ${maxDist}m maximum)`
                         );
@@ -770,7 +1162,7 @@ const RoomsManager = (function() {
             Object.entries(room.requirements.adjacencyBonus).forEach(([otherRoomType, bonus]) => {
                 const nearbyRooms = existingRooms.filter(r => r.type === otherRoomType);
                 nearbyRooms.forEach(otherRoom => {
-                    const distance = calculateDistance(position, otherRoom.position);
+                    const distance = distanceTo(otherRoom);
                     if (distance <= 3.0) { // Adjacent bonus range
                         validation.score += bonus;
                         validation.suggestions.push(
@@ -797,6 +1189,25 @@ const RoomsManager = (function() {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Straight-line distance between two placed rooms
+     * 
+     * Measured between centres when dimensions are known, otherwise
+     * between positions.
+     * 
+     * @param {Object} room1 - Room {position, dimensions?} in metres
+     * @param {Object} room2 - Room {position, dimensions?} in metres
+     * @returns {number} Distance in meters
+     */
+    function calculateRoomDistance(room1, room2) {
+        const centre = room => room.dimensions ? {
+            x: room.position.x + room.dimensions.width / 2,
+            y: room.position.y + room.dimensions.length / 2
+        } : room.position;
+        
+        return calculateDistance(centre(room1), centre(room2));
+    }
+    
     /**
      * Check for educational tip triggers
      * 
@@ -840,52 +1251,113 @@ const RoomsManager = (function() {
     }
     
     /**
-     * Generate room placement recommendations
+     * Score every feasible position for a room on a grid
+     * 
+     * Rules are evaluated between room centres, so the result does not
+     * depend on which corner a room is anchored by.
      * 
      * @param {string} roomId - Room to place
-     * @param {Array} existingRooms - Currently placed rooms
+     * @param {Array} existingRooms - Placed rooms {type, position, dimensions?} (top-left, metres)
      * @param {Object} moduleDimensions - Available space dimensions
-     * @returns {Array} Array of recommended positions
+     * @param {Object} options - gridSize (m), orientation (0|90), isFeasible(x, y, width, length)
+     * @returns {Object} { gridSize, footprint, cells, minScore, maxScore, recommendations }
      */
-    function getPlacementRecommendations(roomId, existingRooms, moduleDimensions) {
+    function scorePlacementGrid(roomId, existingRooms, moduleDimensions, options = {}) {
         const room = getRoomById(roomId);
-        if (!room) return [];
+        const gridSize = options.gridSize || 0.5; // 0.5m grid
+        const result = {
+            gridSize: gridSize,
+            footprint: null,
+            cells: [],
+            minScore: 0,
+            maxScore: 0,
+            recommendations: []
+        };
+        if (!room) return result;
+        
+        const footprint = options.orientation === 90
+            ? { width: room.dimensions.length, length: room.dimensions.width }
+            : { width: room.dimensions.width, length: room.dimensions.length };
+        result.footprint = footprint;
+        
+        // Resolve existing footprints once rather than per grid cell
+        const placed = existingRooms.map(existingRoom => {
+            const existing = getRoomById(existingRoom.type);
+            const dimensions = existingRoom.dimensions || (existing ? existing.dimensions : { width: 0, length: 0 });
+            return {
+                type: existingRoom.type,
+                rect: { ...existingRoom.position, width: dimensions.width, length: dimensions.length },
+                position: {
+                    x: existingRoom.position.x + dimensions.width / 2,
+                    y: existingRoom.position.y + dimensions.length / 2
+                }
+            };
+        });
         
-        const recommendations = [];
-        const gridSize = 0.5; // 0.5m grid
+        // Only rooms named by this room's rules can change its score
+        const ruleTypes = new Set([
+            ...Object.keys(room.requirements.minDistance || {}),
+            ...Object.keys(room.requirements.maxDistance || {}),
+            ...Object.keys(room.requirements.adjacencyBonus || {})
+        ]);
+        const relevantRooms = placed.filter(existing => ruleTypes.has(existing.type));
         
         // Generate potential positions on grid
-        for (let x = 0; x <= moduleDimensions.width - room.dimensions.width; x += gridSize) {
-            for (let y = 0; y <= moduleDimensions.length - room.dimensions.length; y += gridSize) {
-                const position = { x, y };
+        const steps = value => Math.floor(value / gridSize + 1e-9);
+        for (let i = 0; i <= steps(moduleDimensions.width - footprint.width); i++) {
+            for (let j = 0; j <= steps(moduleDimensions.length - footprint.length); j++) {
+                const position = { x: i * gridSize, y: j * gridSize };
                 
-                // Check if position overlaps with existing rooms
-                const overlaps = existingRooms.some(existingRoom => {
-                    const existing = getRoomById(existingRoom.type);
-                    return checkRoomOverlap(
-                        { ...position, ...room.dimensions },
-                        { ...existingRoom.position, ...existing.dimensions }
-                    );
-                });
+                if (options.isFeasible && !options.isFeasible(position.x, position.y, footprint.width, footprint.length)) {
+                    continue;
+                }
                 
-                if (!overlaps) {
-                    const validation = validateRoomPlacement(roomId, position, existingRooms);
-                    
-                    if (validation.score > 0) { // Only recommend positive-score positions
-                        recommendations.push({
-                            position,
-                            score: validation.score,
-                            reasons: validation.suggestions
-                        });
-                    }
+                // Check if position overlaps with existing rooms
+                const rect = { ...position, ...footprint };
+                if (placed.some(existing => checkRoomOverlap(rect, existing.rect))) {
+                    continue;
                 }
+                
+                const validation = validateRoomPlacement(roomId, {
+                    x: position.x + footprint.width / 2,
+                    y: position.y + footprint.length / 2
+                }, relevantRooms);
+                
+                result.cells.push({
+                    position,
+                    score: validation.score,
+                    reasons: validation.suggestions,
+                    warnings: validation.warnings
+                });
             }
         }
         
-        // Sort by score (highest first) and return top recommendations
-        return recommendations
+        if (result.cells.length > 0) {
+            result.minScore = Math.min(...result.cells.map(cell => cell.score));
+            result.maxScore = Math.max(...result.cells.map(cell => cell.score));
+        }
+        
+        // Sort by score (highest first) and keep the top recommendations
+        result.recommendations = result.cells
+            .filter(cell => cell.score > 0) // Only recommend positive-score positions
             .sort((a, b) => b.score - a.score)
-            .slice(0, 5); // Top 5 recommendations
+            .slice(0, 5) // Top 5 recommendations
+            .map(cell => ({ position: cell.position, score: cell.score, reasons: cell.reasons }));
+        
+        return result;
+    }
+    
+    /**
+     * Generate room placement recommendations
+     * 
+     * @param {string} roomId - Room to place
+     * @param {Array} existingRooms - Currently placed rooms
+     * @param {Object} moduleDimensions - Available space dimensions
+     * @param {Object} options - Grid options, see scorePlacementGrid
+     * @returns {Array} Array of recommended positions
+     */
+    function getPlacementRecommendations(roomId, existingRooms, moduleDimensions, options) {
+        return scorePlacementGrid(roomId, existingRooms, moduleDimensions, options).recommendations;
     }
     
     /**
@@ -909,6 +1381,7 @@ const RoomsManager = (function() {
         // Data access
         getRoomCatalog: () => ({ ...ROOM_CATALOG }),
         getRoomById: getRoomById,
+        resolveRoomId: resolveRoomId,
         getRoomsByCategory: getRoomsByCategory,
         getCategories: () => ({ ...ROOM_CATEGORIES }),
         
@@ -916,10 +1389,12 @@ const RoomsManager = (function() {
         calculateRequiredRooms: calculateRequiredRooms,
         validateRoomPlacement: validateRoomPlacement,
         calculateDistance: calculateDistance,
+        calculateRoomDistance: calculateRoomDistance,
         
         // Educational features
         checkEducationalTips: checkEducationalTips,
         getPlacementRecommendations: getPlacementRecommendations,
+        scorePlacementGrid: scorePlacementGrid,
         
         // Utility functions
         checkRoomOverlap: checkRoomOverlap
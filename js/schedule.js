@@ -0,0 +1,248 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - SCHEDULE SIMULATOR
+   NASA Space Apps Challenge Project
+
+   Discrete-time simulation of one awake day from
+   NASA_STANDARDS.OPERATIONS.dailySchedule. Every 15 minutes each free
+   crew member takes the pending activity with a free place whose rooms
+   are scarcest for what the crew still needs that day, or waits, so
+   shared rooms such as the gym are used from the start of the day.
+   Room capacities limit how many share a room, so long queues,
+   unfinished activities and busy rooms show which rooms are bottlenecks
+   for the crew size.
+   ========================================================================== */
+
+const ScheduleSimulator = (function() {
+    'use strict';
+
+    // Length of one simulation step (minutes)
+    const STEP_MINUTES = 15;
+
+    // Average wait per crew member above which an activity is a bottleneck (minutes);
+    // a few steps of queueing at shared rooms is normal
+    const MAX_AVERAGE_WAIT = 45;
+
+    // Activities and the room types that host them, in order of preference
+    const ACTIVITIES = {
+        hygiene: { name: 'Hygiene', roomTypes: ['hygiene'] },
+        meals: { name: 'Meals', roomTypes: ['diningroom', 'galley'] },
+        exercise: { name: 'Exercise', roomTypes: ['exercise'] },
+        work: { name: 'Work', roomTypes: ['workstation', 'laboratory', 'greenhouse'] },
+        recreation: { name: 'Recreation', roomTypes: ['recreation', 'diningroom'] }
+    };
+
+    // The day each crew member would like, as shares of each activity's daily time
+    const DAY_PLAN = [
+        { activity: 'hygiene', share: 1 / 2 },
+        { activity: 'meals', share: 1 / 3 },
+        { activity: 'work', share: 1 / 2 },
+        { activity: 'meals', share: 1 / 3 },
+        { activity: 'exercise', share: 1 },
+        { activity: 'work', share: 1 / 2 },
+        { activity: 'meals', share: 1 / 3 },
+        { activity: 'recreation', share: 1 },
+        { activity: 'hygiene', share: 1 / 2 }
+    ];
+
+    /**
+     * Simulate the crew's awake day in the placed rooms
+     * @param {Object} options - rooms [{id, type}], missionConfig (crewSize)
+     * @returns {Object} { status, message, issues, dayMinutes,
+     *                     crew: [{ member, waitMinutes, unfinishedMinutes }],
+     *                     activities: [{ id, name, hosted, averageWait, unfinishedMinutes, bottleneck }],
+     *                     roomTypes: [{ type, rooms, places, utilisation, bottleneck }] }
+     */
+    function simulateDay(options) {
+        const crewSize = options.missionConfig.crewSize;
+        const steps = Math.floor((24 - NASA_STANDARDS.OPERATIONS.dailySchedule.sleep) * 60 / STEP_MINUTES);
+
+        const rooms = options.rooms
+            .map(room => ({ type: room.type, capacity: getCapacity(room.type), occupied: 0, busySteps: 0 }))
+            .filter(room => room.capacity > 0);
+
+        const crew = Array.from({ length: crewSize }, (item, index) => ({
+            member: index + 1,
+            pending: getDayPlan(),
+            current: null,
+            waitSteps: 0
+        }));
+
+        const waitSteps = {};
+        Object.keys(ACTIVITIES).forEach(id => { waitSteps[id] = 0; });
+
+        for (let step = 0; step < steps; step++) {
+            // Rotate who picks first so no crew member always wins
+            for (let i = 0; i < crewSize; i++) {
+                const member = crew[(i + step) % crewSize];
+                if (member.current) continue;
+
+                const hosted = member.pending.filter(item => hasRoomFor(rooms, item.activity));
+                if (hosted.length === 0) continue;
+
+                const start = hosted
+                    .map(item => ({ item: item, room: findFreeRoom(rooms, item.activity) }))
+                    .filter(choice => choice.room)
+                    .reduce((best, choice) => !best ||
+                        getScarcity(rooms, crew, choice.item.activity, steps - step) >
+                        getScarcity(rooms, crew, best.item.activity, steps - step) ? choice : best, null);
+
+                if (start) {
+                    start.room.occupied++;
+                    member.pending.splice(member.pending.indexOf(start.item), 1);
+                    member.current = { activity: start.item.activity, room: start.room, steps: start.item.steps };
+                } else {
+                    member.waitSteps++;
+                    waitSteps[hosted[0].activity]++;
+                }
+            }
+
+            crew.forEach(member => {
+                if (!member.current) return;
+
+                member.current.room.busySteps++;
+                member.current.steps--;
+                if (member.current.steps === 0) {
+                    member.current.room.occupied--;
+                    member.current = null;
+                }
+            });
+        }
+
+        return summarize(crew, rooms, waitSteps, steps);
+    }
+
+    /**
+     * Turn the simulated day into per-activity and per-room results
+     */
+    function summarize(crew, rooms, waitSteps, steps) {
+        const crewSize = crew.length;
+        const issues = [];
+
+        const unfinishedSteps = member => member.pending.reduce((sum, item) => sum + item.steps, 0) +
+            (member.current ? member.current.steps : 0);
+
+        const roomTypes = [...new Set(rooms.map(room => room.type))].map(type => {
+            const typeRooms = rooms.filter(room => room.type === type);
+            const places = typeRooms.reduce((sum, room) => sum + room.capacity, 0);
+            const busy = typeRooms.reduce((sum, room) => sum + room.busySteps, 0);
+            return { type: type, rooms: typeRooms.length, places: places, utilisation: busy / (places * steps), bottleneck: false };
+        });
+
+        const activities = Object.entries(ACTIVITIES).map(([id, activity]) => {
+            const hosted = hasRoomFor(rooms, id);
+            const unfinishedMinutes = crew.reduce((sum, member) => sum +
+                member.pending.filter(item => item.activity === id).reduce((total, item) => total + item.steps, 0) +
+                (member.current && member.current.activity === id ? member.current.steps : 0), 0) * STEP_MINUTES;
+            const averageWait = waitSteps[id] * STEP_MINUTES / crewSize;
+            const bottleneck = hosted && (unfinishedMinutes > 0 || averageWait > MAX_AVERAGE_WAIT);
+
+            if (!hosted) {
+                issues.push(`No room for ${activity.name.toLowerCase()}`);
+            } else if (bottleneck) {
+                const busiest = roomTypes
+                    .filter(item => activity.roomTypes.includes(item.type))
+                    .reduce((best, item) => !best || item.utilisation > best.utilisation ? item : best, null);
+                busiest.bottleneck = true;
+
+                issues.push(`${activity.name}: ${Math.round(averageWait)} min average wait` +
+                    (unfinishedMinutes > 0 ? `, ${unfinishedMinutes} min left undone` : '') +
+                    ` (${RoomsManager.getRoomById(busiest.type).name} ${Math.round(busiest.utilisation * 100)}% busy)`);
+            }
+
+            return {
+                id: id,
+                name: activity.name,
+                hosted: hosted,
+                averageWait: averageWait,
+                unfinishedMinutes: unfinishedMinutes,
+                bottleneck: bottleneck
+            };
+        });
+
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            message: issues.length === 0
+                ? `${crewSize} crew through the day, ${Math.round(average(crew.map(member => member.waitSteps)) * STEP_MINUTES)} min average wait`
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : ''),
+            issues: issues,
+            dayMinutes: steps * STEP_MINUTES,
+            crew: crew.map(member => ({
+                member: member.member,
+                waitMinutes: member.waitSteps * STEP_MINUTES,
+                unfinishedMinutes: unfinishedSteps(member) * STEP_MINUTES
+            })),
+            activities: activities,
+            roomTypes: roomTypes
+        };
+    }
+
+    /**
+     * One crew member's planned activities, with durations in steps
+     */
+    function getDayPlan() {
+        const schedule = NASA_STANDARDS.OPERATIONS.dailySchedule;
+        const dailyMinutes = {
+            hygiene: NASA_STANDARDS.OPERATIONS.hygiene.dailyUseMinutes,
+            meals: schedule.meals * 60,
+            exercise: schedule.exercise * 60,
+            work: schedule.work * 60,
+            recreation: schedule.recreation * 60
+        };
+
+        return DAY_PLAN.map(item => ({
+            activity: item.activity,
+            steps: Math.ceil(dailyMinutes[item.activity] * item.share / STEP_MINUTES)
+        }));
+    }
+
+    /**
+     * Time the crew still needs for an activity against the time left
+     * in the rooms that host it; above 1 it cannot all be done
+     */
+    function getScarcity(rooms, crew, activity, stepsLeft) {
+        const needed = crew.reduce((sum, member) => sum +
+            member.pending.filter(item => item.activity === activity).reduce((total, item) => total + item.steps, 0), 0);
+        const places = rooms
+            .filter(room => ACTIVITIES[activity].roomTypes.includes(room.type))
+            .reduce((sum, room) => sum + room.capacity, 0);
+
+        return needed / (places * stepsLeft);
+    }
+
+    function hasRoomFor(rooms, activity) {
+        return rooms.some(room => ACTIVITIES[activity].roomTypes.includes(room.type));
+    }
+
+    /**
+     * First room with a free place for the activity, by preferred room type
+     */
+    function findFreeRoom(rooms, activity) {
+        for (const type of ACTIVITIES[activity].roomTypes) {
+            const room = rooms.find(item => item.type === type && item.occupied < item.capacity);
+            if (room) return room;
+        }
+        return null;
+    }
+
+    function getCapacity(roomType) {
+        const spec = RoomsManager.getRoomById(roomType);
+        return (spec && spec.capacity) || 0;
+    }
+
+    function average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    // Public API
+    return {
+        ACTIVITIES: ACTIVITIES,
+        simulateDay: simulateDay
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ScheduleSimulator = ScheduleSimulator;
+}
+
+console.log('📅 Schedule simulator loaded successfully');
@@ -57,7 +57,7 @@ const ScoringSystem = (function() {
         }, 0);
         
         const volumePerPerson = missionConfig.crewSize > 0 ? totalVolume / missionConfig.crewSize : 0;
-        const requiredVolume = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.mediumStay;
+        const requiredVolume = getVolumeRequirement(missionConfig.duration).volumePerPerson;
         
         if (volumePerPerson >= requiredVolume) {
             results.factors.volume = 25;
@@ -110,9 +110,10 @@ const ScoringSystem = (function() {
     /**
      * Calculate operational efficiency score
      * @param {Array} placedRooms - Placed rooms array
+     * @param {Function} measureDistance - Distance between two rooms (m)
      * @returns {Object} Efficiency score details
      */
-    function calculateOperationalEfficiency(placedRooms) {
+    function calculateOperationalEfficiency(placedRooms, measureDistance) {
         const results = {
             score: 0,
             maxScore: 100,
@@ -125,9 +126,12 @@ const ScoringSystem = (function() {
         const wardrooms = placedRooms.filter(room => room.type === 'diningroom');
         
         if (galleys.length > 0 && wardrooms.length > 0) {
-            const distance = RoomsManager.calculateDistance(
-                galleys.position, 
-                wardrooms.position
+            const distance = Math.min(
+                ...galleys.map(galley =>
+                    Math.min(...wardrooms.map(wardroom =>
+                        measureDistance(galley, wardroom)
+                    ))
+                )
             );
             
             if (distance <= 3.0) {
@@ -153,7 +157,7 @@ const ScoringSystem = (function() {
             const minDistance = Math.min(
                 ...exerciseAreas.map(exercise =>
                     Math.min(...hygieneStations.map(hygiene =>
-                        RoomsManager.calculateDistance(exercise.position, hygiene.position)
+                        measureDistance(exercise, hygiene)
                     ))
                 )
             );
@@ -177,7 +181,7 @@ const ScoringSystem = (function() {
             const avgDistance = crewQuarters.reduce((sum, quarter) => {
                 const minWorkDistance = Math.min(
                     ...workstations.map(work =>
-                        RoomsManager.calculateDistance(quarter.position, work.position)
+                        measureDistance(quarter, work)
                     )
                 );
                 return sum + minWorkDistance;
@@ -199,12 +203,12 @@ const ScoringSystem = (function() {
         
         // Check for central wardroom placement (social hub)
         if (wardrooms.length > 0) {
-            const wardroom = wardrooms;
+            const wardroom = wardrooms[0];
             const otherRooms = placedRooms.filter(room => room.type !== 'diningroom');
             
             if (otherRooms.length > 0) {
                 const avgDistanceToWardroom = otherRooms.reduce((sum, room) => 
-                    sum + RoomsManager.calculateDistance(wardroom.position, room.position), 0
+                    sum + measureDistance(wardroom, room), 0
                 ) / otherRooms.length;
                 
                 if (avgDistanceToWardroom <= 6.0) {
@@ -228,9 +232,10 @@ const ScoringSystem = (function() {
      * Calculate crew wellbeing score
      * @param {Array} placedRooms - Placed rooms array
      * @param {Object} missionConfig - Mission configuration
+     * @param {Function} measureDistance - Distance between two rooms (m)
      * @returns {Object} Wellbeing score details
      */
-    function calculateCrewWellbeing(placedRooms, missionConfig) {
+    function calculateCrewWellbeing(placedRooms, missionConfig, measureDistance) {
         const results = {
             score: 0,
             maxScore: 100,
@@ -255,7 +260,7 @@ const ScoringSystem = (function() {
         
         exerciseAreas.forEach(exercise => {
             crewQuarters.forEach(quarter => {
-                const distance = RoomsManager.calculateDistance(exercise.position, quarter.position);
+                const distance = measureDistance(exercise, quarter);
                 if (distance < 3.0) {
                     noiseScore -= 8; // Penalty for noise proximity
                 }
@@ -286,7 +291,7 @@ const ScoringSystem = (function() {
         
         // Social interaction facilitation (20 points)
         const socialAreas = placedRooms.filter(room => 
-            ['diningdroom', 'recreation', 'galley'].includes(room.type)
+            ['diningroom', 'recreation', 'galley'].includes(room.type)
         );
         
         if (socialAreas.length >= 2) {
@@ -294,10 +299,7 @@ const ScoringSystem = (function() {
             let socialGrouping = false;
             for (let i = 0; i < socialAreas.length - 1; i++) {
                 for (let j = i + 1; j < socialAreas.length; j++) {
-                    const distance = RoomsManager.calculateDistance(
-                        socialAreas[i].position, 
-                        socialAreas[j].position
-                    );
+                    const distance = measureDistance(socialAreas[i], socialAreas[j]);
                     if (distance <= 5.0) {
                         socialGrouping = true;
                         break;
@@ -325,10 +327,11 @@ const ScoringSystem = (function() {
     /**
      * Calculate resource optimization score
      * @param {Array} placedRooms - Placed rooms array
-     * @param {Object} moduleDimensions - Module dimensions
+     * @param {Object} moduleDimensions - Module dimensions (width, length, optional floor area)
+     * @param {Function} measureDistance - Distance between two rooms (m)
      * @returns {Object} Resource optimization score details
      */
-    function calculateResourceOptimization(placedRooms, moduleDimensions) {
+    function calculateResourceOptimization(placedRooms, moduleDimensions, measureDistance) {
         const results = {
             score: 0,
             maxScore: 100,
@@ -342,7 +345,8 @@ const ScoringSystem = (function() {
             return sum + (roomDef ? roomDef.area : 0);
         }, 0);
         
-        const moduleArea = moduleDimensions.width * moduleDimensions.length;
+        // Prefer the real floor area of round modules over their bounding box
+        const moduleArea = moduleDimensions.area || moduleDimensions.width * moduleDimensions.length;
         const utilizationRatio = totalRoomArea / moduleArea;
         
         // Optimal utilization is around 70% (allows for corridors and systems)
@@ -375,7 +379,7 @@ const ScoringSystem = (function() {
             keyAreas.forEach(area => {
                 const minStorageDistance = Math.min(
                     ...storageRooms.map(storage =>
-                        RoomsManager.calculateDistance(area.position, storage.position)
+                        measureDistance(area, storage)
                     )
                 );
                 
@@ -415,16 +419,17 @@ const ScoringSystem = (function() {
      * @param {Array} placedRooms - Placed rooms array
      * @param {Object} missionConfig - Mission configuration
      * @param {Object} moduleDimensions - Module dimensions
+     * @param {Function} measureDistance - Distance between two rooms (m), straight line by default
      * @returns {Object} Complete scoring breakdown
      */
-    function calculateTotalScore(placedRooms, missionConfig, moduleDimensions) {
+    function calculateTotalScore(placedRooms, missionConfig, moduleDimensions, measureDistance = RoomsManager.calculateRoomDistance) {
         console.log('🏆 Calculating comprehensive habitat score...');
         
         const scores = {
             nasaCompliance: calculateNASACompliance(placedRooms, missionConfig),
-            operationalEfficiency: calculateOperationalEfficiency(placedRooms),
-            crewWellbeing: calculateCrewWellbeing(placedRooms, missionConfig),
-            resourceOptimization: calculateResourceOptimization(placedRooms, moduleDimensions)
+            operationalEfficiency: calculateOperationalEfficiency(placedRooms, measureDistance),
+            crewWellbeing: calculateCrewWellbeing(placedRooms, missionConfig, measureDistance),
+            resourceOptimization: calculateResourceOptimization(placedRooms, moduleDimensions, measureDistance)
         };
         
         // Calculate weighted total score
@@ -450,13 +455,19 @@ const ScoringSystem = (function() {
         
         const finalPercentage = Math.round((totalScore / maxPossibleScore) * 100);
         
+        // Lunar and Mars rule packs add their own recommendations (editor only)
+        const recommendations = generateRecommendations(categoryScores);
+        if (typeof DestinationRules !== 'undefined' && missionConfig) {
+            recommendations.push(...DestinationRules.getRecommendations({ rooms: placedRooms, missionConfig: missionConfig }));
+        }
+        
         const results = {
             totalScore: Math.round(totalScore),
             maxScore: maxPossibleScore,
             percentage: finalPercentage,
             grade: getGradeLetter(finalPercentage),
             categories: categoryScores,
-            recommendations: generateRecommendations(categoryScores),
+            recommendations: recommendations,
             timestamp: Date.now()
         };
         
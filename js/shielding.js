@@ -0,0 +1,211 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - SHIELDING MODEL
+   NASA Space Apps Challenge Project
+
+   Radiation shielding estimate for the habitat layout. The shell is built
+   from layers of water, polyethylene and regolith; each room adds its own
+   lining and the storage rooms around it. The areal density behind each
+   room attenuates the destination's surface dose rate, giving the crew
+   dose over the mission, and the designated storm shelter is checked for
+   shielding, capacity and how quickly the whole crew can reach it.
+   All coordinates are metres relative to the top-left of the floor plan.
+   ========================================================================== */
+
+const ShieldingModel = (function() {
+    'use strict';
+
+    // Shell materials: density (g/cm³) and shielding per g/cm² relative to
+    // regolith, as hydrogen-rich materials break up heavy ions better
+    const MATERIALS = {
+        water: { name: 'Water', density: 1.0, effectiveness: 1.2 },
+        polyethylene: { name: 'Polyethylene', density: 0.94, effectiveness: 1.3 },
+        regolith: { name: 'Regolith', density: 1.5, effectiveness: 1.0 }
+    };
+
+    // Pressure hull and outfitting in front of every room (g/cm²)
+    const HULL_AREAL_DENSITY = 5;
+
+    // Shielding added by each storage room sharing a wall (g/cm²)
+    const STORAGE_AREAL_DENSITY = 5;
+
+    // Effective areal density that cuts the dose rate by a factor e (g/cm²)
+    const ATTENUATION_LENGTH = 40;
+
+    // Walking speed of the crew heading for the shelter (m/s)
+    const WALKING_SPEED = 0.5;
+
+    /**
+     * Estimate shielding per room, crew dose and storm shelter readiness
+     * @param {Object} options - rooms [{id, type, position, dimensions, level}],
+     *                           missionConfig, materials (cm per material),
+     *                           shelterId (room id, defaults to the first Storm Shelter),
+     *                           shieldingFactor (extra shielding the destination needs),
+     *                           measureDistance(room1, room2) in metres
+     * @returns {Object} { rooms: [{ id, type, level, arealDensity, doseRate }], dose, shelter }
+     */
+    function analyzeShielding(options) {
+        const pack = DestinationRules.getRulePack(options.missionConfig.missionType);
+        const surfaceDoseRate = pack ? pack.standards.radiationExposure : 0;
+        const limits = NASA_STANDARDS.SAFETY.structural.radiationShielding;
+
+        const rooms = options.rooms.map(room => {
+            const shell = getShellArealDensity(options.materials);
+            const interior = getInteriorArealDensity(room, options.rooms);
+            const effective = shell.effective + interior;
+
+            return {
+                id: room.id,
+                type: room.type,
+                level: room.level || 0,
+                arealDensity: shell.physical + interior,
+                doseRate: surfaceDoseRate * Math.exp(-effective / ATTENUATION_LENGTH)
+            };
+        });
+
+        return {
+            rooms: rooms,
+            dose: estimateDose(rooms, options.missionConfig, limits),
+            shelter: checkShelter(rooms, options, limits)
+        };
+    }
+
+    /**
+     * Storm shelters the habitat needs: one, wherever NASA requires
+     * solar particle event protection
+     * @param {Object} missionConfig - crewSize, duration, missionType
+     */
+    function getRequiredShelterRooms(missionConfig) {
+        return NASA_STANDARDS.SAFETY.structural.radiationShielding.solarFlare ? 1 : 0;
+    }
+
+    /**
+     * Physical and effective areal density of the habitat shell (g/cm²)
+     * @param {Object} materials - Thickness of each material (cm)
+     */
+    function getShellArealDensity(materials) {
+        return Object.entries(MATERIALS).reduce((total, [key, material]) => {
+            const arealDensity = Math.max(0, (materials && materials[key]) || 0) * material.density;
+            return {
+                physical: total.physical + arealDensity,
+                effective: total.effective + arealDensity * material.effectiveness
+            };
+        }, { physical: HULL_AREAL_DENSITY, effective: HULL_AREAL_DENSITY });
+    }
+
+    /**
+     * Room lining plus the storage rooms around it (g/cm²)
+     */
+    function getInteriorArealDensity(room, rooms) {
+        const spec = RoomsManager.getRoomById(room.type);
+        const storage = rooms.filter(other => other !== room && other.type === 'storage' &&
+            (other.level || 0) === (room.level || 0) && ZoningModel.sharesWall(room, other));
+
+        return ((spec && spec.shielding) || 0) + storage.length * STORAGE_AREAL_DENSITY;
+    }
+
+    /**
+     * Crew dose over the mission: sleep hours in the crew quarters, the
+     * rest of the day spread over the other occupied rooms
+     */
+    function estimateDose(rooms, missionConfig, limits) {
+        const sleepShare = NASA_STANDARDS.OPERATIONS.dailySchedule.sleep / 24;
+        const quarters = rooms.filter(room => room.type === 'crew_quarters');
+        const workRooms = rooms.filter(room => room.type !== 'crew_quarters' && isOccupied(room));
+
+        const dailyDose = sleepShare * averageDoseRate(quarters.length > 0 ? quarters : rooms) +
+            (1 - sleepShare) * averageDoseRate(workRooms.length > 0 ? workRooms : rooms);
+        const missionDose = dailyDose * missionConfig.duration;
+        const limit = limits.annualDoseLimit * missionConfig.duration / 365;
+
+        return {
+            dailyDose: dailyDose,
+            missionDose: missionDose,
+            limit: limit,
+            status: missionDose > limit ? 'fail' : 'pass',
+            message: `${Math.round(missionDose)} / ${Math.round(limit)} mSv over ${missionConfig.duration} days`
+        };
+    }
+
+    /**
+     * The storm shelter must be shielded, hold the whole crew and be
+     * reachable from every occupied room in time
+     */
+    function checkShelter(rooms, options, limits) {
+        const shelter = rooms.find(room => room.id === options.shelterId) ||
+            rooms.find(room => room.type === 'storm_shelter');
+
+        if (!shelter) {
+            return {
+                id: null,
+                status: 'fail',
+                message: 'No storm shelter designated',
+                issues: ['No storm shelter designated']
+            };
+        }
+
+        const issues = [];
+        const requiredArealDensity = limits.shelterArealDensity * (options.shieldingFactor || 1);
+        if (shelter.arealDensity < requiredArealDensity) {
+            issues.push(`Shelter shielding ${shelter.arealDensity.toFixed(1)} / ${requiredArealDensity.toFixed(1)} g/cm²`);
+        }
+
+        const capacity = RoomsManager.getRoomById(shelter.type).capacity;
+        if (capacity < options.missionConfig.crewSize) {
+            issues.push(`Shelter holds ${capacity} of ${options.missionConfig.crewSize} crew`);
+        }
+
+        // Slowest walk to the shelter from any occupied room
+        const shelterRoom = options.rooms.find(room => room.id === shelter.id);
+        const measureDistance = options.measureDistance || RoomsManager.calculateRoomDistance;
+        const slowest = options.rooms
+            .filter(room => room !== shelterRoom && isOccupied(room))
+            .map(room => ({ room: room, time: measureDistance(room, shelterRoom) / WALKING_SPEED }))
+            .reduce((worst, item) => !worst || item.time > worst.time ? item : worst, null);
+
+        if (slowest && slowest.time > limits.shelterReachTime) {
+            const name = RoomsManager.getRoomById(slowest.room.type).name;
+            issues.push(isFinite(slowest.time)
+                ? `${name}: ${Math.round(slowest.time)} s to the shelter (max ${limits.shelterReachTime} s)`
+                : `${name}: no route to the shelter`);
+        }
+
+        return {
+            id: shelter.id,
+            status: issues.length === 0 ? 'pass' : 'fail',
+            message: issues.length === 0
+                ? `${RoomsManager.getRoomById(shelter.type).name} ready, ${Math.round(slowest ? slowest.time : 0)} s to reach`
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : ''),
+            issues: issues,
+            arealDensity: shelter.arealDensity,
+            requiredArealDensity: requiredArealDensity,
+            reachTime: slowest ? slowest.time : 0
+        };
+    }
+
+    /**
+     * Rooms the crew spends time in (storage has no occupancy)
+     */
+    function isOccupied(room) {
+        const spec = RoomsManager.getRoomById(room.type);
+        return Boolean(spec && spec.capacity > 0);
+    }
+
+    function averageDoseRate(rooms) {
+        return rooms.length > 0 ? rooms.reduce((sum, room) => sum + room.doseRate, 0) / rooms.length : 0;
+    }
+
+    // Public API
+    return {
+        MATERIALS: MATERIALS,
+        analyzeShielding: analyzeShielding,
+        getRequiredShelterRooms: getRequiredShelterRooms,
+        getShellArealDensity: getShellArealDensity
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ShieldingModel = ShieldingModel;
+}
+
+console.log('☢️ Shielding model loaded successfully');
@@ -47,9 +47,11 @@ const StructurePage = (function() {
             icon: '🍩',
             description: 'Ring-shaped habitat',
             efficiency: 70,
+            // Floor area is the ring around the central hole; small and medium
+            // rings are at least 3 m wide, the long side of the smallest rooms (2 x 3 m)
             sizes: {
-                small: { diameter: 8, floorArea: 35.2, volume: 176.0 },
-                medium: { diameter: 12, floorArea: 79.2, volume: 592.7 },
+                small: { diameter: 8, floorArea: 47.2, volume: 236.0 },
+                medium: { diameter: 12, floorArea: 84.9, volume: 636.8 },
                 large: { diameter: 16, floorArea: 140.8, volume: 1407.4 }
             }
         },
@@ -492,10 +494,7 @@ const StructurePage = (function() {
     function getRequiredVolumePerPerson() {
         const duration = structureState.missionConfig?.duration || 60;
         
-        if (duration <= 30) return 20; // Short missions
-        if (duration <= 90) return 25; // Medium missions 
-        if (duration <= 180) return 30; // Long missions
-        return 40; // Permanent habitation
+        return getVolumeRequirement(duration).volumePerPerson;
     }
     
     /**
@@ -546,11 +545,13 @@ const StructurePage = (function() {
                     structureState.selectedSize = saveData.selectedSize || 'medium';
                     structureState.totalStats = saveData.totalStats || structureState.totalStats;
                     
-                    // Restore UI state
-                    updateStructureSelection(structureState.selectedStructureType, true);
-                    showSizeConfiguration(structureState.selectedStructureType);
-                    calculateAndUpdateStats();
-                    updateNavigationState();
+                    // Restore UI state (only where the structure page is present)
+                    if (document.getElementById('structure-page')) {
+                        updateStructureSelection(structureState.selectedStructureType, true);
+                        showSizeConfiguration(structureState.selectedStructureType);
+                        calculateAndUpdateStats();
+                        updateNavigationState();
+                    }
                 }
                 
                 console.log('📂 Structure state loaded');
@@ -581,6 +582,119 @@ const StructurePage = (function() {
         alert(message);
     }
     
+    /**
+     * Get the floor plan of a module in metres
+     * Width runs along the canvas x axis and length along the y axis
+     * @param {string} moduleType - dome, torus, cube or cylinder
+     * @param {string} size - small, medium or large
+     * @returns {Object|null} Shape, extents and usable floor area
+     */
+    function getModuleFloorPlan(moduleType, size) {
+        const module = MODULE_CATALOG[moduleType];
+        const specs = module && module.sizes[size || 'medium'];
+        if (!specs) return null;
+
+        const plan = {
+            type: moduleType,
+            size: size || 'medium',
+            name: module.name,
+            shape: 'rectangle',
+            width: 0,
+            length: 0,
+            innerDiameter: 0,
+            floorArea: 0
+        };
+
+        switch (moduleType) {
+            case 'dome':
+                plan.shape = 'circle';
+                plan.width = plan.length = specs.diameter;
+                plan.floorArea = Math.PI * Math.pow(specs.diameter / 2, 2);
+                break;
+            case 'torus': {
+                // Ring floor: the catalog floor area fixes the size of the central hole
+                const outerRadius = specs.diameter / 2;
+                plan.shape = 'annulus';
+                plan.width = plan.length = specs.diameter;
+                plan.innerDiameter = 2 * Math.sqrt(Math.max(0, outerRadius * outerRadius - specs.floorArea / Math.PI));
+                plan.floorArea = specs.floorArea;
+                break;
+            }
+            case 'cylinder':
+                // Lying horizontally with rounded end caps
+                plan.shape = 'stadium';
+                plan.width = specs.length;
+                plan.length = specs.diameter;
+                plan.floorArea = (specs.length - specs.diameter) * specs.diameter +
+                                 Math.PI * Math.pow(specs.diameter / 2, 2);
+                break;
+            default:
+                plan.width = specs.width;
+                plan.length = specs.length;
+                plan.floorArea = specs.width * specs.length;
+        }
+
+        plan.floorArea = Math.round(plan.floorArea * 10) / 10;
+        return plan;
+    }
+    
+    /**
+     * Check whether a rectangular footprint lies fully on the usable floor
+     * Coordinates are metres relative to the top-left of the floor plan
+     * @param {Object} plan - Floor plan from getModuleFloorPlan
+     * @param {number} x - Footprint left edge
+     * @param {number} y - Footprint top edge
+     * @param {number} width - Footprint extent along x
+     * @param {number} length - Footprint extent along y
+     * @returns {boolean} True when the whole footprint is inside the floor
+     */
+    function containsFootprint(plan, x, y, width, length) {
+        const epsilon = 1e-6;
+
+        // Bounding box applies to every shape
+        if (x < -epsilon || y < -epsilon ||
+            x + width > plan.width + epsilon || y + length > plan.length + epsilon) {
+            return false;
+        }
+
+        const corners = [
+            { x: x, y: y },
+            { x: x + width, y: y },
+            { x: x, y: y + length },
+            { x: x + width, y: y + length }
+        ];
+        const centerX = plan.width / 2;
+        const centerY = plan.length / 2;
+
+        switch (plan.shape) {
+            case 'circle':
+            case 'annulus': {
+                // Convex outer circle: every corner must be inside it
+                const outerRadius = plan.width / 2;
+                const insideOuter = corners.every(corner =>
+                    Math.hypot(corner.x - centerX, corner.y - centerY) <= outerRadius + epsilon);
+                if (!insideOuter || plan.shape === 'circle') return insideOuter;
+
+                // The footprint must also stay clear of the central hole
+                const nearestX = Math.max(x, Math.min(centerX, x + width));
+                const nearestY = Math.max(y, Math.min(centerY, y + length));
+                return Math.hypot(nearestX - centerX, nearestY - centerY) >= plan.innerDiameter / 2 - epsilon;
+            }
+            case 'stadium': {
+                // Points within one radius of the central segment
+                const radius = plan.length / 2;
+                const segmentStart = radius;
+                const segmentEnd = plan.width - radius;
+                return corners.every(corner => {
+                    const nearestX = Math.max(segmentStart, Math.min(segmentEnd, corner.x));
+                    return Math.hypot(corner.x - nearestX, corner.y - centerY) <= radius + epsilon;
+                });
+            }
+            default:
+                return true;
+        }
+    }
+    
     /**
      * Get current structure state (for external access)
      */
@@ -599,6 +713,8 @@ const StructurePage = (function() {
         selectStructureType: selectStructureType,
         calculateAndUpdateStats: calculateAndUpdateStats,
         getStructureState: getStructureState,
+        getModuleFloorPlan: getModuleFloorPlan,
+        containsFootprint: containsFootprint,
         saveStructureState: saveStructureState,
         loadStructureState: loadStructureState
     };
@@ -0,0 +1,156 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - THERMAL MODEL
+   NASA Space Apps Challenge Project
+
+   Heat balance of the habitat for ECLSS sizing. Crew and equipment heat
+   each room; the hull gains heat in the hottest part of the day and loses
+   it in the coldest part of the night, following the destination's
+   thermal swing. The hot case sizes the radiators and the life support
+   thermal control loops, the cold case sizes the heaters.
+   ========================================================================== */
+
+const ThermalModel = (function() {
+    'use strict';
+
+    // Average metabolic heat of one crew member (kW)
+    const CREW_METABOLIC_HEAT = 0.137;
+
+    // Heat flow through the insulated hull per m² and kelvin (kW/m²K)
+    const HULL_CONDUCTANCE = 0.0001;
+
+    // Radiator surface temperature (K) and emissivity
+    const RADIATOR_TEMPERATURE = 290;
+    const RADIATOR_EMISSIVITY = 0.9;
+
+    // Share of the radiator's view taken up by the hot ground
+    const GROUND_VIEW_FACTOR = 0.2;
+
+    // Stefan-Boltzmann constant (kW/m²K⁴)
+    const STEFAN_BOLTZMANN = 5.67e-11;
+
+    /**
+     * Heat balance in the hottest and coldest conditions of the destination
+     * @param {Object} options - rooms [{id, type, level}], missionConfig, floorPlan,
+     *                           levelCount, levelHeight (m)
+     * @returns {Object} { status, message, issues, rooms: [{ id, type, level, equipment, crew, total }],
+     *                     internal, hullArea, hot, cold, radiatorArea, lifeSupportCapacity } in kW, m² and K
+     */
+    function analyzeThermal(options) {
+        const pack = DestinationRules.getRulePack(options.missionConfig.missionType);
+        const cabin = NASA_STANDARDS.ENVIRONMENTAL.temperature.optimalCelsius + 273.15;
+        const surface = pack
+            ? { mean: pack.standards.meanSurfaceTemperature, swing: pack.standards.thermalSwing }
+            : { mean: cabin, swing: 0 };
+
+        const rooms = getRoomHeat(options.rooms, options.missionConfig.crewSize);
+        const internal = rooms.reduce((sum, room) => sum + room.total, 0);
+        const hullArea = options.floorPlan ? getHullArea(options.floorPlan, options.levelCount || 1, options.levelHeight) : 0;
+
+        // Hottest day: hull gain on top of the internal heat goes to the radiators
+        const hotExternal = surface.mean + surface.swing / 2;
+        const hullGain = Math.max(0, HULL_CONDUCTANCE * hullArea * (hotExternal - cabin));
+        const heatLoad = internal + hullGain;
+        const radiatorArea = heatLoad / getRadiatorRejection(hotExternal);
+
+        // Coldest night: heaters make up what the internal heat cannot
+        const coldExternal = surface.mean - surface.swing / 2;
+        const hullLoss = Math.max(0, HULL_CONDUCTANCE * hullArea * (cabin - coldExternal));
+        const heaterPower = Math.max(0, hullLoss - internal);
+
+        const lifeSupportCapacity = options.rooms
+            .filter(room => room.type === 'life_support')
+            .reduce((sum, room) => sum + RoomsManager.getRoomById(room.type).thermalCapacity, 0);
+
+        const issues = [];
+        if (lifeSupportCapacity === 0) {
+            issues.push('No life support room to reject the heat');
+        } else if (heatLoad > lifeSupportCapacity) {
+            issues.push(`Heat load ${heatLoad.toFixed(1)} kW above ${lifeSupportCapacity.toFixed(1)} kW life support capacity`);
+        }
+
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            message: issues.length === 0
+                ? `${heatLoad.toFixed(1)} / ${lifeSupportCapacity.toFixed(1)} kW heat load handled`
+                : issues[0],
+            issues: issues,
+            rooms: rooms,
+            internal: internal,
+            hullArea: hullArea,
+            hot: { external: hotExternal, hullGain: hullGain, heatLoad: heatLoad },
+            cold: { external: coldExternal, hullLoss: hullLoss, heaterPower: heaterPower },
+            radiatorArea: radiatorArea,
+            lifeSupportCapacity: lifeSupportCapacity
+        };
+    }
+
+    /**
+     * Heat from equipment (the nominal electrical load) and from the crew,
+     * spread over the occupied rooms by capacity
+     */
+    function getRoomHeat(rooms, crewSize) {
+        const capacityOf = room => {
+            const spec = RoomsManager.getRoomById(room.type);
+            return (spec && spec.capacity) || 0;
+        };
+        const totalCapacity = rooms.reduce((sum, room) => sum + capacityOf(room), 0);
+
+        return rooms.map(room => {
+            const spec = RoomsManager.getRoomById(room.type);
+            const equipment = spec && spec.power ? spec.power.nominal : 0;
+            const crew = totalCapacity > 0 ? crewSize * CREW_METABOLIC_HEAT * capacityOf(room) / totalCapacity : 0;
+
+            return {
+                id: room.id,
+                type: room.type,
+                level: room.level || 0,
+                equipment: equipment,
+                crew: crew,
+                total: equipment + crew
+            };
+        });
+    }
+
+    /**
+     * Hull area as a prism on the floor plan: floor, roof and walls (m²)
+     */
+    function getHullArea(floorPlan, levelCount, levelHeight) {
+        const height = levelCount * (levelHeight || NASA_STANDARDS.MODULE.standardDimensions.height);
+        return 2 * floorPlan.floorArea + getPerimeter(floorPlan) * height;
+    }
+
+    function getPerimeter(floorPlan) {
+        switch (floorPlan.shape) {
+            case 'circle':
+                return Math.PI * floorPlan.width;
+            case 'annulus':
+                return Math.PI * (floorPlan.width + floorPlan.innerDiameter);
+            case 'stadium':
+                return 2 * (floorPlan.width - floorPlan.length) + Math.PI * floorPlan.length;
+            default:
+                return 2 * (floorPlan.width + floorPlan.length);
+        }
+    }
+
+    /**
+     * Heat one m² of radiator rejects, less what it absorbs from the hot ground (kW/m²)
+     */
+    function getRadiatorRejection(groundTemperature) {
+        const net = Math.pow(RADIATOR_TEMPERATURE, 4) - GROUND_VIEW_FACTOR * Math.pow(groundTemperature, 4);
+        return Math.max(0.001, RADIATOR_EMISSIVITY * STEFAN_BOLTZMANN * net);
+    }
+
+    // Public API
+    return {
+        CREW_METABOLIC_HEAT: CREW_METABOLIC_HEAT,
+        analyzeThermal: analyzeThermal,
+        getHullArea: getHullArea
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ThermalModel = ThermalModel;
+}
+
+console.log('🌡️ Thermal model loaded successfully');
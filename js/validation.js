@@ -24,7 +24,7 @@ const ValidationSystem = (function() {
         volumePerPerson: {
             id: 'req-volume',
             name: 'Minimum Volume per Person',
-            description: 'Each astronaut needs 25+ m³ of habitable space',
+            description: 'Habitable space per astronaut for the mission duration',
             weight: 25,
             calculate: function(placedRooms, config) {
                 const totalVolume = placedRooms.reduce((sum, room) => {
@@ -33,7 +33,7 @@ const ValidationSystem = (function() {
                 }, 0);
                 
                 const volumePerPerson = config.crewSize > 0 ? totalVolume / config.crewSize : 0;
-                const required = NASA_STANDARDS.VOLUME_REQUIREMENTS.perPerson.mediumStay;
+                const required = getVolumeRequirement(config.duration).volumePerPerson;
                 
                 return {
                     current: volumePerPerson,
@@ -70,7 +70,7 @@ const ValidationSystem = (function() {
             description: 'All critical habitat functions present',
             weight: 20,
             calculate: function(placedRooms, config) {
-                const essential = ['hygiene', 'galley', 'diningdroom', 'exercise', 'workstation', 'medical', 'storage'];
+                const essential = ['hygiene', 'galley', 'diningroom', 'exercise', 'workstation', 'medical', 'storage'];
                 const placedTypes = new Set(placedRooms.map(room => room.type));
                 const present = essential.filter(type => placedTypes.has(type));
                 
@@ -108,7 +108,7 @@ const ValidationSystem = (function() {
             name: 'Emergency Access',
             description: 'Quick access to medical bay from all areas',
             weight: 10,
-            calculate: function(placedRooms, config) {
+            calculate: function(placedRooms, config, measureDistance) {
                 const medicalBays = placedRooms.filter(room => room.type === 'medical');
                 if (medicalBays.length === 0) {
                     return {
@@ -120,13 +120,12 @@ const ValidationSystem = (function() {
                     };
                 }
                 
-                // Check if all rooms are within reasonable distance of medical
-                const medical = medicalBays;
+                // Check if all rooms are within reasonable distance of the nearest medical bay
                 const maxDistance = 15; // meters
                 let accessibleRooms = 0;
                 
                 placedRooms.forEach(room => {
-                    const distance = RoomsManager.calculateDistance(room.position, medical.position);
+                    const distance = Math.min(...medicalBays.map(medical => measureDistance(room, medical)));
                     if (distance <= maxDistance) {
                         accessibleRooms++;
                     }
@@ -149,9 +148,10 @@ const ValidationSystem = (function() {
      * Validate current habitat design
      * @param {Array} placedRooms - Currently placed rooms
      * @param {Object} config - Mission configuration
+     * @param {Function} measureDistance - Distance between two rooms (m), straight line by default
      * @returns {Object} Validation results
      */
-    function validateDesign(placedRooms, config) {
+    function validateDesign(placedRooms, config, measureDistance = RoomsManager.calculateRoomDistance) {
         const results = {
             score: 0,
             maxScore: Object.values(VALIDATION_RULES).reduce((sum, rule) => sum + rule.weight, 0),
@@ -163,7 +163,7 @@ const ValidationSystem = (function() {
         
         // Evaluate each validation rule
         Object.values(VALIDATION_RULES).forEach(rule => {
-            const result = rule.calculate(placedRooms, config);
+            const result = rule.calculate(placedRooms, config, measureDistance);
             results.requirements[rule.id] = {
                 ...result,
                 name: rule.name,
@@ -296,9 +296,10 @@ const ValidationSystem = (function() {
      * Real-time validation function - call whenever rooms change
      * @param {Array} placedRooms - Currently placed rooms
      * @param {Object} config - Mission configuration
+     * @param {Function} measureDistance - Optional distance between two rooms (m)
      */
-    function performRealTimeValidation(placedRooms, config) {
-        const results = validateDesign(placedRooms, config);
+    function performRealTimeValidation(placedRooms, config, measureDistance) {
+        const results = validateDesign(placedRooms, config, measureDistance);
         currentValidation = results;
         
         updateValidationUI(results);
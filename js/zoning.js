@@ -0,0 +1,199 @@
+/* ==========================================================================
+   SPACE ARCHITECTS - ZONING MODEL
+   NASA Space Apps Challenge Project
+
+   Groups rooms into functional zones by their catalog group, checks that
+   zones which should form one block do so and that incompatible zones
+   never share a wall, and outlines every zone with its convex hull.
+   All coordinates are metres relative to the top-left of the floor plan.
+   ========================================================================== */
+
+const ZoningModel = (function() {
+    'use strict';
+
+    // Zones keyed by the room catalog group
+    const ZONES = {
+        personal: { name: 'Private', color: '#AB47BC', contiguous: true },
+        social: { name: 'Public', color: '#FFB300', contiguous: true },
+        work: { name: 'Work', color: '#42A5F5', contiguous: true },
+        health: { name: 'Health & Exercise', color: '#EF5350', contiguous: false },
+        utility: { name: 'Utility', color: '#78909C', contiguous: false }
+    };
+
+    // Zones that must not share a wall
+    const FORBIDDEN_ADJACENCIES = [
+        { zones: ['personal', 'health'], reason: 'exercise noise and vibration reach private quarters' },
+        { zones: ['personal', 'social'], reason: 'common area activity disturbs private quarters' }
+    ];
+
+    // Largest gap between rooms of one block, e.g. a corridor between them (m)
+    const CONTIGUITY_GAP = 1.0;
+
+    // Tolerance for rooms touching along a wall (m)
+    const WALL_TOLERANCE = 0.05;
+
+    /**
+     * Analyse zones, their contiguity and forbidden adjacencies
+     * @param {Object} options - rooms [{id, type, position, dimensions, level}] in metres
+     * @returns {Object} { status, message, issues, zones: [{ zone, level, blocks: [{ rooms, hull }] }], conflicts }
+     */
+    function analyzeZones(options) {
+        const rooms = options.rooms.filter(room => getZone(room.type));
+        const zones = [];
+        const issues = [];
+
+        // Split each zone into connected blocks per level
+        const levels = [...new Set(rooms.map(room => room.level || 0))].sort((a, b) => a - b);
+        levels.forEach(level => {
+            Object.keys(ZONES).forEach(zone => {
+                const zoneRooms = rooms.filter(room => (room.level || 0) === level && getZone(room.type) === zone);
+                if (zoneRooms.length === 0) return;
+
+                const blocks = findBlocks(zoneRooms).map(block => ({
+                    rooms: block.map(room => room.id),
+                    hull: convexHull([].concat(...block.map(getCorners)))
+                }));
+                zones.push({ zone: zone, level: level, blocks: blocks });
+
+                if (ZONES[zone].contiguous && blocks.length > 1) {
+                    issues.push(`${ZONES[zone].name} zone is split into ${blocks.length} parts` +
+                        (levels.length > 1 ? ` on level ${level + 1}` : ''));
+                }
+            });
+        });
+
+        // Incompatible zones sharing a wall
+        const conflicts = [];
+        rooms.forEach((room, index) => {
+            rooms.slice(index + 1).forEach(other => {
+                if ((room.level || 0) !== (other.level || 0) || !sharesWall(room, other)) return;
+
+                const rule = FORBIDDEN_ADJACENCIES.find(item =>
+                    item.zones.includes(getZone(room.type)) && item.zones.includes(getZone(other.type)) &&
+                    getZone(room.type) !== getZone(other.type));
+                if (rule) {
+                    conflicts.push({ rooms: [room.id, other.id], reason: rule.reason });
+                    issues.push(`${RoomsManager.getRoomById(room.type).name} next to ` +
+                        `${RoomsManager.getRoomById(other.type).name}: ${rule.reason}`);
+                }
+            });
+        });
+
+        return {
+            status: issues.length === 0 ? 'pass' : 'fail',
+            message: issues.length === 0
+                ? 'Zones contiguous, no conflicting neighbours'
+                : issues[0] + (issues.length > 1 ? ` (+${issues.length - 1} more)` : ''),
+            issues: issues,
+            zones: zones,
+            conflicts: conflicts
+        };
+    }
+
+    /**
+     * Zone of a room type, from its catalog group
+     */
+    function getZone(roomType) {
+        const room = RoomsManager.getRoomById(roomType);
+        return room && ZONES[room.group] ? room.group : null;
+    }
+
+    /**
+     * Connected groups of rooms no further than CONTIGUITY_GAP apart
+     */
+    function findBlocks(rooms) {
+        const blocks = [];
+        const visited = new Set();
+
+        rooms.forEach(start => {
+            if (visited.has(start)) return;
+
+            const block = [];
+            const queue = [start];
+            visited.add(start);
+            while (queue.length > 0) {
+                const room = queue.shift();
+                block.push(room);
+                rooms.forEach(other => {
+                    if (!visited.has(other) && getGap(room, other) <= CONTIGUITY_GAP) {
+                        visited.add(other);
+                        queue.push(other);
+                    }
+                });
+            }
+            blocks.push(block);
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Shortest gap between two room rectangles (0 when touching)
+     */
+    function getGap(room1, room2) {
+        const dx = Math.max(0,
+            room1.position.x - (room2.position.x + room2.dimensions.width),
+            room2.position.x - (room1.position.x + room1.dimensions.width));
+        const dy = Math.max(0,
+            room1.position.y - (room2.position.y + room2.dimensions.length),
+            room2.position.y - (room1.position.y + room1.dimensions.length));
+        return Math.hypot(dx, dy);
+    }
+
+    /**
+     * Whether two rooms touch along a stretch of wall (not just a corner)
+     */
+    function sharesWall(room1, room2) {
+        const overlapX = Math.min(room1.position.x + room1.dimensions.width, room2.position.x + room2.dimensions.width) -
+            Math.max(room1.position.x, room2.position.x);
+        const overlapY = Math.min(room1.position.y + room1.dimensions.length, room2.position.y + room2.dimensions.length) -
+            Math.max(room1.position.y, room2.position.y);
+
+        return (Math.abs(overlapX) <= WALL_TOLERANCE && overlapY > WALL_TOLERANCE) ||
+            (Math.abs(overlapY) <= WALL_TOLERANCE && overlapX > WALL_TOLERANCE);
+    }
+
+    function getCorners(room) {
+        const { x, y } = room.position;
+        const { width, length } = room.dimensions;
+        return [{ x: x, y: y }, { x: x + width, y: y }, { x: x + width, y: y + length }, { x: x, y: y + length }];
+    }
+
+    /**
+     * Convex hull of points (monotone chain), clockwise on screen
+     */
+    function convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+        const lower = [];
+        sorted.forEach(point => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+            lower.push(point);
+        });
+
+        const upper = [];
+        sorted.slice().reverse().forEach(point => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+            upper.push(point);
+        });
+
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    // Public API
+    return {
+        ZONES: ZONES,
+        FORBIDDEN_ADJACENCIES: FORBIDDEN_ADJACENCIES,
+        analyzeZones: analyzeZones,
+        getZone: getZone,
+        sharesWall: sharesWall
+    };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ZoningModel = ZoningModel;
+}
+
+console.log('🗺️ Zoning model loaded successfully');